@@ -1,6 +1,33 @@
 // app.js — Control de Gastos por LPaz (transacciones completas)
 
-const CURRENCY = new Intl.NumberFormat('es-CL', { style: 'currency', currency: 'CLP', maximumFractionDigits: 0 });
+import { EN } from './i18n.js';
+
+// Se rearma con el locale y la moneda base de los ajustes (applySettings)
+let CURRENCY = new Intl.NumberFormat('es-CL', { style: 'currency', currency: 'CLP' });
+
+// Categorías iniciales (se crean una sola vez al crear el store)
+const DEFAULT_CATEGORIES = [
+  { name: 'Supermercado', icon: '🛒', color: '#19f5a4' },
+  { name: 'Bencina', icon: '⛽', color: '#ffb454' },
+  { name: 'Arriendo', icon: '🏠', color: '#3b82f6' },
+  { name: 'Dividendo', icon: '🏦', color: '#6366f1' },
+  { name: 'Cuentas básicas', icon: '💡', color: '#facc15' },
+  { name: 'Transporte', icon: '🚌', color: '#00e5ff' },
+  { name: 'Salud', icon: '🩺', color: '#ff5470' },
+  { name: 'Educación', icon: '🎓', color: '#a78bfa' },
+  { name: 'Restaurantes', icon: '🍽️', color: '#fb923c' },
+  { name: 'Entretención', icon: '🎬', color: '#f472b6' },
+  { name: 'Ropa', icon: '👕', color: '#2dd4bf' },
+  { name: 'Sueldo', icon: '💼', color: '#22c55e' },
+  { name: 'Otros', icon: '📦', color: '#90a3b4' },
+];
+
+// Cuentas iniciales; las transacciones sin cuenta (anteriores o importadas) van a la primera
+const DEFAULT_ACCOUNTS = [
+  { name: 'Efectivo', kind: 'cash' },
+  { name: 'Cuenta corriente', kind: 'checking' },
+  { name: 'Tarjeta de crédito', kind: 'credit' },
+];
 
 // ---------- IndexedDB ----------
 const dbp = (function () {
@@ -9,7 +36,7 @@ const dbp = (function () {
     open: () =>
       new Promise((resolve, reject) => {
         // Nueva DB/versión para modelo de "transacciones"
-        const req = indexedDB.open('gastosDB_v2', 1);
+        const req = indexedDB.open('gastosDB_v2', 14);
         req.onupgradeneeded = (e) => {
           const db = e.target.result;
           if (!db.objectStoreNames.contains('transactions')) {
@@ -18,43 +45,178 @@ const dbp = (function () {
             s.createIndex('by_name', 'name', { unique: false });
             s.createIndex('by_type', 'type', { unique: false }); // 'expense'|'income'
           }
+          const txStore = e.target.transaction.objectStore('transactions');
+          if (!txStore.indexNames.contains('by_category')) {
+            txStore.createIndex('by_category', 'categoryId', { unique: false });
+          }
+          if (!txStore.indexNames.contains('by_recurring')) {
+            txStore.createIndex('by_recurring', 'recurringId', { unique: false });
+          }
+          if (!txStore.indexNames.contains('by_bankRef')) {
+            txStore.createIndex('by_bankRef', 'bankRef', { unique: false });
+          }
+          if (!txStore.indexNames.contains('by_dteKey')) {
+            // RUT emisor | tipo | folio de los documentos tributarios importados
+            txStore.createIndex('by_dteKey', 'dteKey', { unique: false });
+          }
           if (!db.objectStoreNames.contains('attachments')) {
             db.createObjectStore('attachments', { keyPath: 'id', autoIncrement: true });
           }
+          if (!db.objectStoreNames.contains('meta')) {
+            db.createObjectStore('meta', { keyPath: 'key' });
+          }
+          if (!db.objectStoreNames.contains('categories')) {
+            const c = db.createObjectStore('categories', { keyPath: 'id', autoIncrement: true });
+            for (const cat of DEFAULT_CATEGORIES) c.add({ ...cat, builtin: true, created: Date.now() });
+          }
+          if (!db.objectStoreNames.contains('budgets')) {
+            // { categoryId: number|null (null = general), amount, period: 'month'|'fortnight', rollover }
+            db.createObjectStore('budgets', { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains('recurring')) {
+            // { type, name, amount, categoryId, tags, schedule, start, end, paused, lastGenerated }
+            db.createObjectStore('recurring', { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains('bankRules')) {
+            // { bankId, contains, name, categoryId }
+            db.createObjectStore('bankRules', { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains('rates')) {
+            // Valor en CLP de cada moneda por día: { date: 'YYYY-MM-DD', USD, EUR, UF, source }
+            db.createObjectStore('rates', { keyPath: 'date' });
+          }
+          if (!db.objectStoreNames.contains('accounts')) {
+            // { name, kind: 'cash'|'checking'|'savings'|'credit', opening, reconciled?: { date, balance } }
+            const s = db.createObjectStore('accounts', { keyPath: 'id', autoIncrement: true });
+            for (const acc of DEFAULT_ACCOUNTS) s.add({ ...acc, opening: 0, created: Date.now() });
+          }
+          if (!db.objectStoreNames.contains('purchases')) {
+            // Compras en cuotas: { name, total, installments, rate, installmentAmount, first, accountId,
+            // categoryId, tags, attachments, generated, status: 'active'|'done'|'prepaid'|'cancelled' }
+            db.createObjectStore('purchases', { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains('people')) {
+            // Personas con las que se comparten gastos: { name }
+            db.createObjectStore('people', { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains('history')) {
+            // Registro de cambios: { txId, action, before, after, source, at } (ver logChange)
+            const s = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+            s.createIndex('by_tx', 'txId', { unique: false });
+            s.createIndex('by_at', 'at', { unique: false });
+          }
+          if (!db.objectStoreNames.contains('trash')) {
+            // Transacciones eliminadas con su id original y `deleted` (timestamp)
+            db.createObjectStore('trash', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('indicators')) {
+            // Un punto por día e indicador: { key: 'uf:2025-03-04', id, date, value, usd?, fetched }
+            const s = db.createObjectStore('indicators', { keyPath: 'key' });
+            s.createIndex('by_indicator', 'id', { unique: false });
+          }
+          if (!db.objectStoreNames.contains('tombstones')) {
+            // Bajas para sincronizar: { key: 'store:uid', store, uid, deleted, updated, updatedBy }
+            db.createObjectStore('tombstones', { keyPath: 'key' });
+          }
+          // Sincronización: uid estable y `updated` en los registros que viajan entre dispositivos
+          for (const name of SYNC_STORES) {
+            const s = e.target.transaction.objectStore(name);
+            if (s.indexNames.contains('by_uid')) continue;
+            s.createIndex('by_uid', 'uid', { unique: false });
+            s.createIndex('by_updated', 'updated', { unique: false });
+            s.openCursor().onsuccess = (ev) => {
+              const c = ev.target.result;
+              if (!c) return;
+              c.update({ ...c.value, uid: c.value.uid || seedUid(name, c.value) || crypto.randomUUID(), updated: c.value.updated || c.value.created || Date.now(), updatedBy: null });
+              c.continue();
+            };
+          }
         };
         req.onsuccess = () => { db = req.result; resolve(db); };
         req.onerror = () => reject(req.error);
       }),
     tx: (stores, mode = 'readonly') => db.transaction(stores, mode),
+    info: () => ({ name: db.name, version: db.version, stores: Array.from(db.objectStoreNames) }),
     getAll: (store) =>
       new Promise((res, rej) => {
         const req = dbp.tx([store]).objectStore(store).getAll();
         req.onsuccess = () => res(req.result);
         req.onerror = () => rej(req.error);
-      }),
-    add: (store, value) =>
-      new Promise((res, rej) => {
-        const req = dbp.tx([store], 'readwrite').objectStore(store).add(value);
+      }).then(rows => openRecords(store, rows)),
+    // Se cifra antes de abrir la transacción: no puede quedar esperando a WebCrypto
+    add: async (store, value) => {
+      stampRecord(store, value);
+      const row = await sealRecord(store, value);
+      return new Promise((res, rej) => {
+        const req = dbp.tx([store], 'readwrite').objectStore(store).add(row);
+        req.onsuccess = () => res(req.result);
+        req.onerror = () => rej(req.error);
+      });
+    },
+    put: async (store, value) => {
+      stampRecord(store, value);
+      const row = await sealRecord(store, value);
+      return new Promise((res, rej) => {
+        const req = dbp.tx([store], 'readwrite').objectStore(store).put(row);
         req.onsuccess = () => res(req.result);
         req.onerror = () => rej(req.error);
+      });
+    },
+    each: async (store, fn) => {
+      // Con registros cifrados el cursor no puede esperar a descifrar: se leen y luego se recorren
+      if (SEALED_FIELDS[store] && vault.keys.size) {
+        for (const row of await dbp.getAll(store)) fn(row);
+        return;
+      }
+      return new Promise((res, rej) => {
+        const req = dbp.tx([store]).objectStore(store).openCursor();
+        req.onsuccess = () => {
+          const c = req.result;
+          if (!c) return res();
+          fn(c.value);
+          c.continue();
+        };
+        req.onerror = () => rej(req.error);
+      });
+    },
+    // [clave primaria, clave del índice] sin leer los registros (p. ej. id → uid)
+    indexKeys: (store, index, query) =>
+      new Promise((res, rej) => {
+        const out = [];
+        const req = dbp.tx([store]).objectStore(store).index(index).openKeyCursor(query);
+        req.onsuccess = () => {
+          const c = req.result;
+          if (!c) return res(out);
+          out.push([c.primaryKey, c.key]);
+          c.continue();
+        };
+        req.onerror = () => rej(req.error);
       }),
-    put: (store, value) =>
+    getAllByIndex: (store, index, query) =>
       new Promise((res, rej) => {
-        const req = dbp.tx([store], 'readwrite').objectStore(store).put(value);
+        const req = dbp.tx([store]).objectStore(store).index(index).getAll(query);
         req.onsuccess = () => res(req.result);
         req.onerror = () => rej(req.error);
-      }),
+      }).then(rows => openRecords(store, rows)),
     get: (store, key) =>
       new Promise((res, rej) => {
         const req = dbp.tx([store]).objectStore(store).get(key);
         req.onsuccess = () => res(req.result);
         req.onerror = () => rej(req.error);
-      }),
+      }).then(row => openRecord(store, row)),
     delete: (store, key) =>
       new Promise((res, rej) => {
-        const req = dbp.tx([store], 'readwrite').objectStore(store).delete(key);
-        req.onsuccess = () => res(true);
-        req.onerror = () => rej(req.error);
+        const synced = SYNC_STORES.includes(store);
+        const t = dbp.tx(synced ? [store, 'tombstones'] : [store], 'readwrite');
+        const os = t.objectStore(store);
+        if (synced) {
+          // La baja deja una lápida para que llegue a los otros dispositivos
+          const get = os.get(key);
+          get.onsuccess = () => { if (get.result?.uid) t.objectStore('tombstones').put(tombstone(store, get.result.uid)); };
+        }
+        os.delete(key);
+        t.oncomplete = () => res(true);
+        t.onerror = () => rej(t.error);
       }),
   };
 })();
@@ -63,70 +225,263 @@ const dbp = (function () {
 const $ = (sel) => document.querySelector(sel);
 const $$ = (sel) => Array.from(document.querySelectorAll(sel));
 const fmt = (n) => CURRENCY.format(n ?? 0);
-const todayStr = () => new Date().toISOString().slice(0, 10);
+const todayStr = () => isoDate(new Date());
 
 function parseAmount(input) {
   const v = Number(input.value);
-  return Number.isFinite(v) && v >= 0 ? Math.round(v) : 0;
+  return Number.isFinite(v) && v >= 0 ? roundMoney(v) : 0;
 }
+function parseDecimal(input) {
+  const v = Number(input.value);
+  return Number.isFinite(v) && v >= 0 ? v : 0;
+}
+// Fechas 'YYYY-MM-DD' en hora local (no UTC)
+function isoDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+function parseDate(str) { const [y, m, d] = str.split('-').map(Number); return new Date(y, m - 1, d); }
+function addDays(d, n) { const x = new Date(d); x.setDate(x.getDate() + n); return x; }
+function lastDayOfMonth(d) { return new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate(); }
 function endOfDay(d) { const x = new Date(d); x.setHours(23,59,59,999); return x; }
 function startOfDay(d) { const x = new Date(d); x.setHours(0,0,0,0); return x; }
 function within(dateISO, start, end) {
-  const t = new Date(dateISO);
+  const t = parseDate(dateISO);
   return t >= start && t <= end;
 }
-function groupByDate(txs) {
-  const map = new Map();
-  for (const t of txs) {
-    const k = t.date;
-    map.set(k, (map.get(k) || 0) + (t.type === 'expense' ? t.amount : 0));
-  }
-  return Array.from(map.entries()).sort((a,b)=>a[0].localeCompare(b[0]));
+function parseTags(str) {
+  const tags = String(str || '').split(',').map(t => t.trim().replace(/^#/, '').toLowerCase()).filter(Boolean);
+  return Array.from(new Set(tags));
+}
+// Quincena (1–corte / corte+1–fin de mes, ver ajustes) y mes calendario que contienen la fecha `at`
+function fortnightRange(at) {
+  const y = at.getFullYear(); const m = at.getMonth(); const split = settings.fortnightSplit;
+  return at.getDate() <= split
+    ? { start: new Date(y, m, 1, 0,0,0,0), end: new Date(y, m, split, 23,59,59,999) }
+    : { start: new Date(y, m, split + 1, 0,0,0,0), end: new Date(y, m + 1, 0, 23,59,59,999) };
+}
+function monthRange(at) {
+  const y = at.getFullYear(); const m = at.getMonth();
+  return { start: new Date(y, m, 1, 0,0,0,0), end: new Date(y, m + 1, 0, 23,59,59,999) };
 }
 function ranges() {
   const now = new Date();
   const today = { start: startOfDay(now), end: endOfDay(now) };
-  const weekEnd = endOfDay(now);
-  const weekStart = new Date(weekEnd); weekStart.setDate(weekStart.getDate() - 6); weekStart.setHours(0,0,0,0);
-  const y = now.getFullYear(); const m = now.getMonth(); const d = now.getDate();
-  const fortnight = d <= 15
-    ? { start: new Date(y, m, 1, 0,0,0,0), end: new Date(y, m, 15, 23,59,59,999) }
-    : { start: new Date(y, m, 16, 0,0,0,0), end: new Date(y, m + 1, 0, 23,59,59,999) };
-  const month = { start: new Date(y, m, 1, 0,0,0,0), end: new Date(y, m + 1, 0, 23,59,59,999) };
-  return { today, week: { start: weekStart, end: weekEnd }, fortnight, month };
+  // Semana calendario según el día de inicio elegido en los ajustes
+  const weekStart = periodStart(now, 'week');
+  return { today, week: { start: weekStart, end: endOfDay(addDays(weekStart, 6)) }, fortnight: fortnightRange(now), month: monthRange(now) };
+}
+
+// ---------- Ajustes e idioma ----------
+// Propios de cada dispositivo: se guardan en meta 'settings' (en claro, para leerlos antes de
+// desbloquear) y viajan en los respaldos, pero no se sincronizan. Los textos se escriben en
+// español y `tr` busca su traducción en i18n.js; lo que no esté ahí se muestra tal cual.
+const SETTINGS_DEFAULTS = { language: 'es', locale: 'es-CL', currency: 'CLP', weekStart: 1, fortnightSplit: 15, theme: 'dark' };
+const DICTIONARIES = { en: EN };
+// Montos en la moneda base: su paso acompaña a los decimales de la moneda
+const MONEY_INPUTS = ['#amount', '#editAmount', '#settleAmount', '#budgetAmount', '#filterMin', '#filterMax'];
+
+let settings = { ...SETTINGS_DEFAULTS };
+let moneyDigits = 0; // decimales de la moneda base (CLP 0, USD y EUR 2)
+
+function tr(text, vars) {
+  const out = DICTIONARIES[settings.language]?.[text] ?? text;
+  return vars ? out.replace(/\{(\w+)\}/g, (m, k) => k in vars ? String(vars[k]) : m) : out;
+}
+
+// Fecha 'YYYY-MM-DD' para mostrar (los CSV conservan el formato chileno de formatDateCL)
+function formatDate(iso) {
+  return parseDate(iso).toLocaleDateString(settings.locale, { day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+// Redondea a la unidad mínima de la moneda base; toPrecision evita arrastrar errores binarios (0.1 + 0.2)
+function roundMoney(v, round = Math.round) {
+  const unit = 10 ** moneyDigits;
+  return round(+(v * unit).toPrecision(12)) / unit;
+}
+
+async function loadSettings() {
+  settings = { ...SETTINGS_DEFAULTS, ...(await dbp.get('meta', 'settings'))?.value };
+  applySettings();
+}
+
+const systemTheme = matchMedia('(prefers-color-scheme: light)');
+systemTheme.addEventListener('change', () => { if (settings.theme === 'system') applySettings(); });
+
+function applySettings() {
+  CURRENCY = new Intl.NumberFormat(settings.locale, { style: 'currency', currency: settings.currency });
+  PERCENT = new Intl.NumberFormat(settings.locale, { style: 'percent', maximumFractionDigits: 0, signDisplay: 'exceptZero' });
+  moneyDigits = CURRENCY.resolvedOptions().maximumFractionDigits;
+  document.documentElement.lang = settings.language;
+  document.documentElement.dataset.theme = settings.theme === 'system' ? (systemTheme.matches ? 'light' : 'dark') : settings.theme;
+  const step = moneyDigits ? String(10 ** -moneyDigits) : '1';
+  for (const sel of MONEY_INPUTS) $(sel).step = step;
+  const split = settings.fortnightSplit;
+  $('#budgetPeriod option[value="fortnight"]').textContent = tr('Quincenal (1–{split} / {next}–fin)', { split, next: split + 1 });
+}
+
+// index.html está escrito en español: con otro idioma se traducen sus textos y atributos al cargar
+function translatePage() {
+  if (settings.language === 'es') return;
+  // El contenido de un <template> no es parte del body: las filas clonadas saldrían en español
+  for (const root of [document.body, ...$$('template').map(t => t.content)]) translateTree(root);
+  document.title = tr(document.title);
+}
+
+function translateTree(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (n) => ['SCRIPT', 'STYLE'].includes(n.parentNode.nodeName) || !n.nodeValue.trim() ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+  });
+  for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+    const [, lead, text, trail] = n.nodeValue.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    const out = tr(text.replace(/\s+/g, ' '));
+    if (out !== text.replace(/\s+/g, ' ')) n.nodeValue = lead + out + trail;
+  }
+  for (const attr of ['placeholder', 'title', 'aria-label']) {
+    for (const el of root.querySelectorAll(`[${attr}]`)) el.setAttribute(attr, tr(el.getAttribute(attr)));
+  }
+}
+
+function openSettingsDialog() {
+  $('#settingsLanguage').value = settings.language;
+  $('#settingsLocale').value = settings.locale;
+  $('#settingsCurrency').value = settings.currency;
+  $('#settingsWeekStart').value = String(settings.weekStart);
+  $('#settingsSplit').value = settings.fortnightSplit;
+  $('#settingsTheme').value = settings.theme;
+  $('#settingsDialog').showModal();
+}
+
+async function saveSettings(ev) {
+  ev.preventDefault();
+  const split = Number($('#settingsSplit').value);
+  if (!Number.isInteger(split) || split < 1 || split > 27) return showAlert(tr('El corte de la quincena debe ser un día entre 1 y 27.'));
+  const next = {
+    language: $('#settingsLanguage').value,
+    locale: $('#settingsLocale').value,
+    currency: $('#settingsCurrency').value,
+    weekStart: Number($('#settingsWeekStart').value),
+    fortnightSplit: split,
+    theme: $('#settingsTheme').value,
+  };
+  if (next.currency !== settings.currency && !confirm(tr('¿Usar {currency} como moneda base? Los montos ya registrados no se convierten.', { currency: next.currency }))) return;
+  const reload = next.language !== settings.language;
+  const currencyChanged = next.currency !== settings.currency;
+  settings = next;
+  await dbp.put('meta', { key: 'settings', value: { ...settings } });
+  $('#settingsDialog').close();
+  // Los textos de la página se traducen una sola vez al cargar
+  if (reload) return location.reload();
+  applySettings();
+  if (currencyChanged) {
+    $('#currency').value = settings.currency;
+    resetCurrencyInputs(MONEY_FIELDS.add);
+  }
+  await loadAll();
+  renderSyncStatus();
+  refreshInfoPanel();
 }
 
 // ---------- State ----------
 let state = {
-  txs: [],
+  daily: new Map(), // agregados por día de todas las transacciones (ver addToDaily)
+  accounts: [],
+  purchases: [],
+  balances: new Map(), // movimiento neto por cuenta, sin el saldo inicial (ver addToBalances)
+  people: [],
+  debts: new Map(), // saldo con cada persona; positivo = te debe (ver addToDebts)
+  categories: [],
+  categoryPeriod: 'month',
+  chartGroup: 'day', // 'day' | 'week' | 'fortnight' | 'month'
+  budgets: [],
+  recurring: [],
+  bankRules: [],
+  filter: {},
+  view: null, // con filtro activo: resultado de queryTxs(filter)
+  viewDaily: null, // agregados por día de `view`
   editId: null,
 };
 
-// ---------- Init ----------
-await dbp.open();
-await loadAll();
-initUI();
-registerSW();
-autoSetDefaultDate();
-refreshInfoPanel();
-setInterval(refreshInfoPanel, 10 * 60 * 1000); // cada 10 minutos
-
 function autoSetDefaultDate() {
   $('#date').value = todayStr();
 }
 
 // ---------- Load & compute ----------
 async function loadAll() {
-  const txs = await dbp.getAll('transactions');
-  state.txs = txs.sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+  // Las cuentas van primero: addToBalances necesita saber cuál es la cuenta por defecto
+  state.accounts = await dbp.getAll('accounts');
+  if (!state.accounts.length) state.accounts = await seedAccounts();
+  const daily = new Map();
+  const balances = new Map();
+  const debts = new Map();
+  const [categories, budgets, recurring, purchases, people] = await Promise.all([
+    dbp.getAll('categories'),
+    dbp.getAll('budgets'),
+    dbp.getAll('recurring'),
+    dbp.getAll('purchases'),
+    dbp.getAll('people'),
+    // Una pasada con cursor: solo se guardan los agregados, no los registros
+    dbp.each('transactions', (t) => { addToDaily(daily, t, 1); addToBalances(balances, t, 1); addToDebts(debts, t, 1); }),
+  ]);
+  state.daily = daily;
+  state.balances = balances;
+  state.debts = debts;
+  state.people = people.sort((a, b) => a.name.localeCompare(b.name, settings.locale));
+  state.categories = categories.sort((a, b) => a.name.localeCompare(b.name, settings.locale));
+  state.budgets = budgets;
+  state.recurring = recurring;
+  state.purchases = purchases;
+  fillCategorySelects();
+  fillAccountSelects();
+  fillPeopleSelects();
+  await refreshView();
+}
+
+async function refreshView() {
+  const filtered = filterActive(state.filter);
+  state.view = filtered ? await queryTxs(state.filter) : null;
+  state.viewDaily = filtered ? buildDaily(state.view) : null;
   computeAndRender();
+  await resetList();
+}
+
+// Agregados por día: { income, expense, count, cats: Map(categoryId → gasto) }.
+// Se actualizan de forma incremental (sign = 1 al agregar, -1 al quitar). En los gastos
+// compartidos solo cuenta la parte propia (ver ownShare).
+function addToDaily(daily, t, sign) {
+  let d = daily.get(t.date);
+  if (!d) daily.set(t.date, d = { income: 0, expense: 0, count: 0, cats: new Map() });
+  d.count += sign;
+  const amount = ownShare(t);
+  if (t.type === 'income') d.income += sign * amount;
+  if (t.type === 'expense') {
+    d.expense += sign * amount;
+    const k = t.categoryId ?? null;
+    d.cats.set(k, (d.cats.get(k) || 0) + sign * amount);
+  }
+  if (d.count <= 0) daily.delete(t.date);
+}
+
+function buildDaily(txs) {
+  const daily = new Map();
+  for (const t of txs) addToDaily(daily, t, 1);
+  return daily;
 }
 
+function sumDaily(daily, rg) {
+  let income = 0, expense = 0;
+  for (const [date, d] of daily) {
+    if (rg && !within(date, rg.start, rg.end)) continue;
+    income += d.income;
+    expense += d.expense;
+  }
+  return { income, expense };
+}
+
+// Recalcula balance, estadísticas y paneles desde los agregados (no toca la lista)
 function computeAndRender() {
-  // Balance (sum ingresos/gastos)
-  const incomeSum = state.txs.filter(t => t.type === 'income').reduce((s, t) => s + t.amount, 0);
-  const expenseSum = state.txs.filter(t => t.type === 'expense').reduce((s, t) => s + t.amount, 0);
-  const available = incomeSum - expenseSum;
+  // Balance (sum ingresos/gastos); el saldo es la suma de las cuentas, con sus saldos iniciales
+  const { income: incomeSum, expense: expenseSum } = sumDaily(state.daily);
+  const available = state.accounts.reduce((s, a) => s + accountBalance(a), 0);
 
   $('#incomeDisplay').textContent = fmt(incomeSum);
   $('#spentDisplay').textContent = fmt(expenseSum);
@@ -134,140 +489,495 @@ function computeAndRender() {
   const ratio = (incomeSum > 0) ? Math.min(100, Math.round((expenseSum / incomeSum) * 100)) : 0;
   $('#progressBar').style.width = ratio + '%';
 
-  // Estadísticas (solo gastos)
+  // Estadísticas (solo gastos, sobre el conjunto filtrado)
   const r = ranges();
-  const sumRange = (rg) => state.txs
-    .filter(t => t.type === 'expense' && within(t.date, rg.start, rg.end))
-    .reduce((s, t) => s + t.amount, 0);
+  const daily = state.viewDaily || state.daily;
+  const sumRange = (rg) => sumDaily(daily, rg).expense;
 
-  $('#statTotal').textContent = fmt(expenseSum);
+  $('#statsScope').textContent = state.view ? tr('Filtro activo · {n} transacciones', { n: state.view.length }) : '';
+  $('#statTotal').textContent = fmt(sumDaily(daily).expense);
   $('#statToday').textContent = fmt(sumRange(r.today));
   $('#statWeek').textContent = fmt(sumRange(r.week));
   $('#statFortnight').textContent = fmt(sumRange(r.fortnight));
   $('#statMonth').textContent = fmt(sumRange(r.month));
 
-  renderList();
-  renderMiniChart(); // barras por día, gastos
+  renderAccounts();
+  scheduleForecast(); // asíncrono y agrupado: lee el historial reciente
+  renderPeople();
+  renderChart(); // ingresos vs gastos por periodo
+  renderCategoryBreakdown();
+  renderBudgets();
+  renderRecurring();
+  renderInstallments();
 }
 
-function renderMiniChart() {
-  const container = $('#chartBars');
-  container.innerHTML = '';
-  const byDate = groupByDate(state.txs);
-  const values = byDate.map(([, v]) => v);
-  const max = Math.max(1, ...values);
-  // Limitar a últimos 14 días visibles
-  const last14 = byDate.slice(-14);
-  for (const [, v] of last14) {
-    const h = Math.max(4, Math.round((v / max) * 100));
-    const bar = document.createElement('div');
-    bar.style.height = h + '%';
-    container.appendChild(bar);
-  }
-}
 
 // ---------- UI ----------
 function initUI() {
   $('#txForm').addEventListener('submit', onAddTx);
   $('#search').addEventListener('input', onSearch);
+  $('#txList').addEventListener('click', onListClick);
+  $('#txViewport').addEventListener('scroll', onListScroll, { passive: true });
+  window.addEventListener('resize', onListScroll);
+  for (const id of ['#filterType', '#filterCategory', '#filterAccount', '#filterFrom', '#filterTo', '#filterMin', '#filterMax', '#filterReceipt']) {
+    $(id).addEventListener('change', onFilterBarChange);
+  }
+  $('#clearFilterBtn').addEventListener('click', () => setFilter({}));
+  $('#saveFilterBtn').addEventListener('click', saveCurrentFilter);
+  $('#savedFilters').addEventListener('change', applySavedFilter);
+  $('#deleteFilterBtn').addEventListener('click', deleteSavedFilter);
+  window.addEventListener('popstate', () => setFilter(filterFromURL(), { push: false }));
   $('#refreshDataBtn').addEventListener('click', refreshInfoPanel);
   $('#updateTxBtn').addEventListener('click', updateTx);
+  $('#categoryPeriod').addEventListener('change', (e) => {
+    state.categoryPeriod = e.target.value;
+    renderCategoryBreakdown();
+  });
+  $('#chartGroup').addEventListener('change', (e) => {
+    state.chartGroup = e.target.value;
+    chart.focus = -1;
+    renderChart();
+  });
+  $('#chart').addEventListener('click', onChartClick);
+  $('#chart').addEventListener('keydown', onChartKey);
+  $('#chart').addEventListener('pointerover', onChartHover);
+  $('#chart').addEventListener('focusin', onChartHover);
+  $('#chart').addEventListener('pointerleave', hideChartTip);
+  $('#chart').addEventListener('focusout', hideChartTip);
+  window.addEventListener('resize', () => requestAnimationFrame(renderChart));
+  $('#reportBtn').addEventListener('click', openReportDialog);
+  $('#ivaBtn').addEventListener('click', openIvaDialog);
+  $('#ivaMonth').addEventListener('change', runIvaSummary);
+  $('#exportIvaBtn').addEventListener('click', exportIvaMonth);
+  for (const id of ['#docType', '#amount', '#currency']) $(id).addEventListener('input', updateIvaHint);
+  $('#reportPreset').addEventListener('change', () => { applyReportPreset(); runReport(); });
+  $('#reportFrom').addEventListener('change', () => { $('#reportPreset').value = 'custom'; runReport(); });
+  $('#reportTo').addEventListener('change', () => { $('#reportPreset').value = 'custom'; runReport(); });
+  $('#printReportBtn').addEventListener('click', printReport);
+  $('#downloadReportBtn').addEventListener('click', downloadReport);
+  $('#manageCategoriesBtn').addEventListener('click', openCategoryDialog);
+  $('#type').addEventListener('change', () => syncTransferFields(TRANSFER_FIELDS.add));
+  $('#editType').addEventListener('change', () => syncTransferFields(TRANSFER_FIELDS.edit));
+  $('#txForm').addEventListener('reset', () => setTimeout(() => {
+    syncTransferFields(TRANSFER_FIELDS.add);
+    renderSplitPeople(SPLIT_FIELDS.add);
+    syncSplitFields(SPLIT_FIELDS.add);
+    clearDte();
+    updateIvaHint();
+  }));
+  $('#document').addEventListener('change', onDocumentFiles);
+  $('#txForm').addEventListener('dragover', onFormDragOver);
+  $('#txForm').addEventListener('dragleave', () => $('#txForm').classList.remove('dragging'));
+  $('#txForm').addEventListener('drop', onFormDrop);
+  $('#account').addEventListener('change', syncInstallmentFields);
+  $('#manageAccountsBtn').addEventListener('click', openAccountDialog);
+  $('#addAccountBtn').addEventListener('click', addAccount);
+  $('#accountList').addEventListener('click', onAccountListClick);
+  $('#reconcileBalance').addEventListener('input', updateReconcileDiff);
+  $('#reconcileDate').addEventListener('change', loadReconcileBalance);
+  $('#reconcileAdjustBtn').addEventListener('click', (ev) => saveReconcile(ev, true));
+  $('#reconcileSaveBtn').addEventListener('click', (ev) => saveReconcile(ev, false));
+  $('#addCategoryBtn').addEventListener('click', addCategory);
+  $('#newBudgetBtn').addEventListener('click', openBudgetDialog);
+  $('#saveBudgetBtn').addEventListener('click', saveBudget);
+  $('#exportCsvBtn').addEventListener('click', () => $('#exportDialog').showModal());
+  $('#doExportBtn').addEventListener('click', exportCSV);
+  $('#importCsvBtn').addEventListener('click', () => $('#csvFile').click());
+  $('#csvFile').addEventListener('change', onCsvFile);
+  $('#csvHasHeader').addEventListener('change', () => { setupCsvMapping(); renderCsvPreview(); });
+  for (const id of ['#mapDate', '#mapName', '#mapAmount', '#mapType', '#mapCategory', '#mapTags', '#mapAccount']) {
+    $(id).addEventListener('change', renderCsvPreview);
+  }
+  $('#doImportBtn').addEventListener('click', importCSV);
+  $('#backupBtn').addEventListener('click', createBackup);
+  $('#storageBtn').addEventListener('click', openStorageDialog);
+  $('#purgeOrphansBtn').addEventListener('click', purgeOrphans);
+  $('#trashBtn').addEventListener('click', openTrashDialog);
+  $('#settingsBtn').addEventListener('click', openSettingsDialog);
+  $('#saveSettingsBtn').addEventListener('click', saveSettings);
+  $('#syncBtn').addEventListener('click', openSyncDialog);
+  $('#syncKind').addEventListener('change', syncSyncFields);
+  $('#saveSyncBtn').addEventListener('click', saveSyncConfig);
+  $('#syncNowBtn').addEventListener('click', (ev) => { ev.preventDefault(); runSync(); });
+  $('#lockSettingsBtn').addEventListener('click', openLockDialog);
+  $('#lockNowBtn').addEventListener('click', lockNow);
+  $('#saveLockBtn').addEventListener('click', saveLockConfig);
+  $('#disableLockBtn').addEventListener('click', disableLock);
+  bindAutoLock();
+  $('#emptyTrashBtn').addEventListener('click', emptyTrash);
+  $('#editHistoryBtn').addEventListener('click', openHistoryDialog);
+  $('#viewerPrev').addEventListener('click', () => showAttachment(viewer.index - 1));
+  $('#viewerNext').addEventListener('click', () => showAttachment(viewer.index + 1));
+  $('#viewerDialog').addEventListener('keydown', onViewerKey);
+  $('#viewerDialog').addEventListener('close', closeViewer);
+  $('#restoreBtn').addEventListener('click', () => $('#backupFile').click());
+  $('#backupFile').addEventListener('change', onBackupFile);
+  $('#doRestoreBtn').addEventListener('click', restoreBackup);
+  $('#importBankBtn').addEventListener('click', () => $('#bankFile').click());
+  $('#bankFile').addEventListener('change', onBankFile);
+  $('#bankProfile').addEventListener('change', () => { bankImport.profileId = $('#bankProfile').value; parseBankImport(); renderBankPreview(); });
+  $('#addBankRuleBtn').addEventListener('click', addBankRule);
+  $('#doBankImportBtn').addEventListener('click', importBankMovements);
+  $('#indicatorPrefsBtn').addEventListener('click', openIndicatorDialog);
+  $('#saveIndicatorsBtn').addEventListener('click', saveIndicatorPrefs);
+  bindCurrencyInputs(MONEY_FIELDS.add);
+  bindCurrencyInputs(MONEY_FIELDS.edit);
+  bindSplitFields(SPLIT_FIELDS.add);
+  bindSplitFields(SPLIT_FIELDS.edit);
+  renderSplitPeople(SPLIT_FIELDS.add);
+  syncSplitFields(SPLIT_FIELDS.add);
+  $('#managePeopleBtn').addEventListener('click', openPeopleDialog);
+  $('#addPersonBtn').addEventListener('click', addPerson);
+  $('#settleBtn').addEventListener('click', () => openSettleDialog());
+  $('#saveSettleBtn').addEventListener('click', saveSettle);
+  // Al volver a primer plano se generan las recurrentes y cuotas que vencieron mientras tanto
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') catchUp();
+  });
   setupInstall();
 }
 
+let searchTimer = null;
 function onSearch(e) {
-  const q = e.target.value.trim().toLowerCase();
-  const items = $$('#txList .item');
-  let visible = 0;
-  for (const li of items) {
-    const title = li.querySelector('.title').textContent.toLowerCase();
-    const show = title.includes(q);
-    li.style.display = show ? '' : 'none';
-    if (show) visible++;
-  }
-  $('#emptyState').style.display = visible === 0 ? '' : 'none';
+  clearTimeout(searchTimer);
+  // Escribir no agrega una entrada al historial por cada pausa: se reemplaza la actual
+  searchTimer = setTimeout(() => setFilter({ ...state.filter, q: e.target.value.trim() }, { push: false }), 200);
 }
 
 async function onAddTx(e) {
   e.preventDefault();
-  const type = $('#type').value; // 'expense'|'income'
+  const type = $('#type').value; // 'expense'|'income'|'transfer'
   const name = $('#name').value.trim();
-  const amount = parseAmount($('#amount'));
   const date = $('#date').value || todayStr();
-  if (!name || amount <= 0) return;
+  const categoryId = $('#category').value && type !== 'transfer' ? Number($('#category').value) : null;
+  const tags = parseTags($('#tags').value);
+  const repeat = $('#repeat').value;
+  const accounts = readAccounts(TRANSFER_FIELDS.add);
+  const cuotas = $('#installmentRow').classList.contains('hidden') ? 1 : Math.max(1, Math.round(Number($('#installments').value) || 1));
+  if (!name || !accounts) return;
+  const money = await readMoney(MONEY_FIELDS.add, date);
+  if (!money || money.amount <= 0) return;
+  const { amount } = money;
+  const split = readSplit(SPLIT_FIELDS.add, amount);
+  if (split === null) return;
+  if (dteImport?.duplicate && !confirm(tr('{doc} N° {folio} ya está registrada. ¿Agregarla de todas formas?', { doc: dteImport.typeName, folio: dteImport.folio }))) return;
+
+  const attachmentRefs = await saveAttachments([...$('#photo').files, ...$('#document').files]);
 
-  const photoFile = $('#photo').files[0] || null;
-  const docFile = $('#document').files[0] || null;
-  const attachmentRefs = [];
+  const tx = { type, name, amount, ...money.fx, date, categoryId, tags, ...accounts, attachments: attachmentRefs, created: Date.now() };
+  if (split) tx.split = split;
+  if (dteImport) {
+    const { key, duplicate, ...dte } = dteImport;
+    Object.assign(tx, { dte, dteKey: key });
+  }
+  const docType = type === 'transfer' ? '' : $('#docType').value;
+  applyDocType(tx, docType);
+  const before = budgetUsage();
 
-  if (photoFile) {
-    const id = await dbp.add('attachments', { blob: photoFile, name: photoFile.name, type: photoFile.type, created: Date.now() });
-    attachmentRefs.push({ storeId: id, kind: 'photo', name: photoFile.name, type: photoFile.type });
+  // En cuotas se guarda la compra; las cuotas se generan a medida que llega su fecha
+  let purchase = null;
+  if (cuotas > 1) {
+    const rate = parseDecimal($('#installmentRate'));
+    purchase = {
+      name, total: amount, installments: cuotas, rate, installmentAmount: rate ? fixedInstallment(amount, cuotas, rate) : roundMoney(amount / cuotas, Math.floor),
+      first: date, categoryId, tags, ...accounts, split, attachments: attachmentRefs, generated: 0, status: 'active', created: Date.now(),
+    };
+    if (tx.dte) Object.assign(purchase, { dte: tx.dte, dteKey: tx.dteKey });
+    // El documento es por el total de la compra: su IVA se declara completo con la primera cuota
+    if (tx.docType) Object.assign(purchase, { docType: tx.docType, net: tx.net, iva: tx.iva, exempt: tx.exempt });
+    purchase.id = await dbp.add('purchases', purchase);
   }
-  if (docFile) {
-    const id = await dbp.add('attachments', { blob: docFile, name: docFile.name, type: docFile.type, created: Date.now() });
-    attachmentRefs.push({ storeId: id, kind: 'document', name: docFile.name, type: docFile.type });
+
+  // La transacción ingresada es la primera ocurrencia de la regla
+  let rule = null;
+  if (repeat && !purchase) {
+    rule = { type, name, amount, ...money.fx, categoryId, tags, ...accounts, docType, split, schedule: scheduleFromDate(repeat, parseDate(date)), start: date, end: null, paused: false, lastGenerated: date, created: Date.now() };
+    rule.id = await dbp.add('recurring', rule);
+    tx.recurringId = rule.id;
+    tx.occurrence = date;
   }
 
-  const tx = { type, name, amount, date, attachments: attachmentRefs, created: Date.now() };
-  const id = await dbp.add('transactions', tx);
-  tx.id = id;
-  state.txs.unshift(tx);
+  if (!purchase) {
+    tx.id = await dbp.add('transactions', tx);
+    await logChange('create', null, tx);
+  }
 
   $('#txForm').reset();
   autoSetDefaultDate();
-  computeAndRender();
+  resetCurrencyInputs(MONEY_FIELDS.add);
+  // Se mantiene la cuenta elegida: lo normal es registrar varios movimientos seguidos de la misma
+  $('#account').value = accounts.accountId;
+  syncTransferFields(TRANSFER_FIELDS.add);
+  syncSplitFields(SPLIT_FIELDS.add);
+  updateIvaHint();
+  if (rule || purchase) {
+    await materializeRecurring();
+    await materializeInstallments();
+    await loadAll();
+  } else {
+    patchTx(null, tx);
+  }
+  // La regla o la compra quedan creadas: deshacer solo aplica a un movimiento suelto
+  if (!rule && !purchase) offerUndo(tr('"{name}" agregada.', { name }), () => deleteTx(tx.id, { undo: false }));
+  checkBudgetAlerts(before);
 }
 
-function renderList() {
-  const list = $('#txList');
-  list.innerHTML = '';
-  const empty = $('#emptyState');
-  empty.style.display = state.txs.length ? 'none' : '';
-
-  const tpl = $('#itemTemplate');
-  for (const t of state.txs) {
-    const li = tpl.content.firstElementChild.cloneNode(true);
-    li.dataset.id = t.id;
-
-    const sign = t.type === 'expense' ? '-' : '+';
-    const color = t.type === 'expense' ? 'negative' : 'positive';
-
-    li.querySelector('.title').innerHTML = `${t.name} — <span class="${color}">${sign} ${fmt(t.amount)}</span>`;
-    li.querySelector('.meta').textContent = new Date(t.date).toLocaleDateString('es-CL', { day: '2-digit', month: 'short', year: 'numeric' });
-
-    const badge = li.querySelector('.badge');
-    badge.classList.add(t.type);
-    badge.textContent = t.type === 'expense' ? 'Gasto' : 'Ingreso';
-
-    const link = li.querySelector('.thumb');
-    if (t.attachments?.length) {
-      link.classList.remove('hidden');
-      link.textContent = t.attachments.length === 1 ? 'Comprobante' : `${t.attachments.length} archivos`;
-      link.href = '#';
-      link.addEventListener('click', async (ev) => {
-        ev.preventDefault();
-        const ref = t.attachments[0];
-        const at = await dbp.get('attachments', ref.storeId);
-        const url = URL.createObjectURL(at.blob);
-        window.open(url, '_blank', 'noopener');
-        setTimeout(()=>URL.revokeObjectURL(url), 60000);
-      });
+
+// ---------- Lista virtual ----------
+// Sin filtro, la lista se carga por páginas con un cursor sobre by_date (de la más nueva a la
+// más antigua); con filtro usa `state.view`. Solo se dibujan las filas visibles, agrupadas por
+// día, y los cambios se aplican en su lugar con patchTx().
+const PAGE_SIZE = 200;
+const ROW_H = 72;
+const DAY_H = 34;
+const OVERSCAN = 6;
+
+const byDateDesc = (a, b) => b.date.localeCompare(a.date) || b.id - a.id;
+
+const list = {
+  rows: [],     // transacciones cargadas, ordenadas por byDateDesc
+  items: [],    // filas a dibujar: { kind: 'day', date } | { kind: 'tx', tx }
+  offsets: [],  // posición vertical de cada item
+  height: 0,
+  done: false,  // no quedan páginas por leer
+  loading: null,
+};
+
+// Lee hasta `limit` transacciones anteriores a `after` ({ date, id }) recorriendo by_date hacia atrás
+function readTxPage(after, limit) {
+  return new Promise((res, rej) => {
+    const rows = [];
+    const index = dbp.tx(['transactions']).objectStore('transactions').index('by_date');
+    const req = index.openCursor(after ? IDBKeyRange.upperBound(after.date) : null, 'prev');
+    let positioned = !after;
+    req.onsuccess = () => {
+      const c = req.result;
+      if (!c) return res({ rows, done: true });
+      if (!positioned) {
+        positioned = true;
+        if (c.key === after.date && c.primaryKey > after.id) { c.continuePrimaryKey(after.date, after.id); return; }
+      }
+      if (after && c.key === after.date && c.primaryKey >= after.id) { c.continue(); return; }
+      rows.push(c.value);
+      if (rows.length >= limit) return res({ rows, done: false });
+      c.continue();
+    };
+    req.onerror = () => rej(req.error);
+  }).then(async page => ({ ...page, rows: await openRecords('transactions', page.rows) }));
+}
+
+async function resetList() {
+  list.rows = state.view ? state.view : [];
+  list.done = !!state.view;
+  list.loading = null;
+  $('#txViewport').scrollTop = 0;
+  if (!list.done) await loadNextPage();
+  else layoutList();
+}
+
+function loadNextPage() {
+  if (list.done) return Promise.resolve();
+  if (!list.loading) {
+    const last = list.rows[list.rows.length - 1];
+    list.loading = readTxPage(last ? { date: last.date, id: last.id } : null, PAGE_SIZE).then(({ rows, done }) => {
+      list.rows = list.rows.concat(rows);
+      list.done = done;
+      list.loading = null;
+      layoutList();
+    });
+  }
+  return list.loading;
+}
+
+function layoutList() {
+  list.items = [];
+  list.offsets = [];
+  let y = 0, day = null;
+  for (const tx of list.rows) {
+    if (tx.date !== day) {
+      day = tx.date;
+      list.items.push({ kind: 'day', date: day });
+      list.offsets.push(y);
+      y += DAY_H;
     }
+    list.items.push({ kind: 'tx', tx });
+    list.offsets.push(y);
+    y += ROW_H;
+  }
+  list.height = y;
+
+  const empty = $('#emptyState');
+  empty.style.display = list.rows.length || !list.done ? 'none' : '';
+  empty.textContent = state.view ? tr('Ninguna transacción coincide con el filtro.') : tr('Sin registros aún.');
+  renderWindow();
+}
+
+function itemIndexAt(y) {
+  let lo = 0, hi = list.offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (list.offsets[mid] <= y) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+function dayLabel(date) {
+  const d = parseDate(date);
+  const total = (state.viewDaily || state.daily).get(date);
+  const label = d.toLocaleDateString(settings.locale, { weekday: 'short', day: '2-digit', month: 'short', year: 'numeric' });
+  return total?.expense ? tr('{day} · gastos {amount}', { day: label, amount: fmt(total.expense) }) : label;
+}
+
+function renderWindow() {
+  const vp = $('#txViewport');
+  const ul = $('#txList');
+  ul.style.height = list.height + 'px';
+  ul.innerHTML = '';
+  if (!list.items.length) { $('#daySticky').textContent = ''; return; }
+
+  const top = vp.scrollTop;
+  const bottom = top + (vp.clientHeight || 600);
+  const first = itemIndexAt(top);
+  const frag = document.createDocumentFragment();
+  for (let i = Math.max(0, first - OVERSCAN); i < list.items.length && list.offsets[i] < bottom + OVERSCAN * ROW_H; i++) {
+    frag.appendChild(renderItem(list.items[i], list.offsets[i]));
+  }
+  ul.appendChild(frag);
+
+  // Cabecera fija con el día de la primera fila visible
+  const it = list.items[first];
+  $('#daySticky').textContent = dayLabel(it.kind === 'day' ? it.date : it.tx.date);
+
+  if (!list.done && bottom > list.height - ROW_H * 20) loadNextPage();
+}
 
-    li.querySelector('.edit').addEventListener('click', () => openEditDialog(t));
-    li.querySelector('.delete').addEventListener('click', () => deleteTx(t.id));
+function renderItem(item, y) {
+  if (item.kind === 'day') {
+    const li = document.createElement('li');
+    li.className = 'day-header';
+    li.style.top = y + 'px';
+    li.textContent = dayLabel(item.date);
+    return li;
+  }
+  const t = item.tx;
+  const li = $('#itemTemplate').content.firstElementChild.cloneNode(true);
+  li.dataset.id = t.id;
+  li.style.top = y + 'px';
+
+  const sign = { expense: '-', income: '+', transfer: '↔' }[t.type];
+  const color = { expense: 'negative', income: 'positive', transfer: 'muted' }[t.type];
+
+  const original = isForeign(t) ? ` <span class="muted">(${fmtCurrency(t.originalAmount, t.currency)})</span>` : '';
+  li.querySelector('.title').innerHTML = `<button type="button" class="name"></button> — <span class="${color}">${sign} ${fmt(t.amount)}</span>${original}`;
+  const nameLink = li.querySelector('.title .name');
+  nameLink.textContent = t.name;
+  nameLink.title = tr('Ver todas las transacciones "{name}"', { name: t.name });
+
+  const cat = categoryById(t.categoryId);
+  // Si pagó otra persona no hubo movimiento en tus cuentas
+  const meta = t.split?.paidBy != null ? [] : [accountLabel(t)];
+  if (t.dte) meta.push(`${t.dte.typeName} N° ${t.dte.folio}`);
+  else if (t.docType) meta.push(tr(DOC_TYPES[t.docType]));
+  if (t.iva) meta.push(tr('IVA {amount}', { amount: fmt(t.iva) }));
+  if (t.split) meta.push(describeSplit(t));
+  if (t.settle) meta.push(tr('saldo con {name}', { name: personName(t.settle.personId) }));
+  if (t.installment) meta.push(tr('cuota {n}/{total}', { n: t.installment, total: t.installments }));
+  if (t.prepaid) meta.push(tr('prepago cuotas {from}–{to}/{total}', { from: t.prepaid.from, to: t.prepaid.to, total: t.installments }));
+  if (cat) meta.push(`${cat.icon} ${cat.name}`);
+  if (t.tags?.length) meta.push(t.tags.map(x => `#${x}`).join(' '));
+  li.querySelector('.meta').textContent = meta.join(' · ');
+
+  const badge = li.querySelector('.badge');
+  badge.classList.add(t.type);
+  badge.textContent = tr(TYPE_LABELS[t.type]);
+
+  const link = li.querySelector('.thumb');
+  if (t.attachments?.length) {
+    link.classList.remove('hidden');
+    link.textContent = t.attachments.length === 1 ? tr('Comprobante') : tr('{n} archivos', { n: t.attachments.length });
+    link.href = '#';
+  }
+  return li;
+}
 
-    list.appendChild(li);
+// Un único listener para todas las filas (las filas se recrean al hacer scroll)
+function onListClick(ev) {
+  const li = ev.target.closest('.item');
+  if (!li) return;
+  const t = list.rows.find(x => x.id === Number(li.dataset.id));
+  if (!t) return;
+  if (ev.target.closest('.name')) {
+    setFilter({ ...state.filter, name: t.name });
+  } else if (ev.target.closest('.edit')) {
+    openEditDialog(t);
+  } else if (ev.target.closest('.delete')) {
+    deleteTx(t.id);
+  } else if (ev.target.closest('.thumb') && t.attachments?.length) {
+    ev.preventDefault();
+    openViewer(t.attachments);
   }
 }
 
+let scrollFrame = 0;
+function onListScroll() {
+  if (scrollFrame) return;
+  scrollFrame = requestAnimationFrame(() => { scrollFrame = 0; renderWindow(); });
+}
+
+// Aplica un alta (prev = null), edición o baja (next = null) a los agregados y a la lista
+// sin volver a leer la base.
+function patchTx(prev, next) {
+  if (prev) { addToDaily(state.daily, prev, -1); addToBalances(state.balances, prev, -1); addToDebts(state.debts, prev, -1); }
+  if (next) { addToDaily(state.daily, next, 1); addToBalances(state.balances, next, 1); addToDebts(state.debts, next, 1); }
+
+  if (state.view) {
+    state.view = state.view.filter(t => t.id !== prev?.id);
+    if (next && matchesFilter(next, cleanFilter(state.filter))) insertSorted(state.view, next);
+    state.viewDaily = buildDaily(state.view);
+    list.rows = state.view;
+  } else {
+    list.rows = list.rows.filter(t => t.id !== prev?.id);
+    // Si cae más allá de lo cargado, aparecerá al paginar
+    const last = list.rows[list.rows.length - 1];
+    if (next && (list.done || !last || byDateDesc(next, last) < 0)) insertSorted(list.rows, next);
+  }
+  computeAndRender();
+  layoutList();
+}
+
+function insertSorted(arr, tx) {
+  const i = arr.findIndex(t => byDateDesc(tx, t) < 0);
+  if (i < 0) arr.push(tx); else arr.splice(i, 0, tx);
+}
+
 function openEditDialog(tx) {
   state.editId = tx.id;
   $('#editType').value = tx.type;
   $('#editName').value = tx.name;
-  $('#editAmount').value = tx.amount;
   $('#editDate').value = tx.date;
+  $('#editCurrency').value = tx.currency || settings.currency;
+  $('#editAmount').value = isForeign(tx) ? tx.originalAmount : tx.amount;
+  // Se conserva el valor con que se registró, salvo que el usuario lo cambie
+  $('#editRate').value = tx.rate ?? '';
+  $('#editRate').dataset.manual = tx.rate ? '1' : '';
+  refreshCurrencyInputs(MONEY_FIELDS.edit);
+  $('#editCategory').value = tx.categoryId ?? '';
+  $('#editDocType').value = tx.docType || '';
+  $('#editAccount').value = accountOf(tx);
+  $('#editToAccount').value = tx.toAccountId ?? '';
+  syncTransferFields(TRANSFER_FIELDS.edit);
+  // Los pagos entre personas no se dividen
+  $('#editShared').disabled = !!tx.settle;
+  $('#editShared').checked = !!tx.split;
+  $('#editPaidBy').value = tx.split?.paidBy ?? '';
+  $('#editSplitMode').value = tx.split?.mode || 'equal';
+  renderSplitPeople(SPLIT_FIELDS.edit, tx.split);
+  syncSplitFields(SPLIT_FIELDS.edit);
+  $('#editTags').value = (tx.tags || []).join(', ');
+  $('#editScope').value = 'one';
+  $('#editScopeRow').classList.toggle('hidden', !tx.recurringId);
+  editAttachments = { keep: [...(tx.attachments || [])] };
+  renderEditAttachments();
   $('#editDialog').showModal();
 }
 
@@ -276,14 +986,4595 @@ async function updateTx(ev) {
   if (!state.editId) return;
   const type = $('#editType').value;
   const name = $('#editName').value.trim();
-  const amount = parseAmount($('#editAmount'));
   const date = $('#editDate').value || todayStr();
-  if (!name || amount <= 0) return;
-
-  const photoFile = $('#editPhoto').files[0] || null;
-  const docFile = $('#editDocument').files[0] || null;
+  const categoryId = $('#editCategory').value && type !== 'transfer' ? Number($('#editCategory').value) : null;
+  const tags = parseTags($('#editTags').value);
+  const accounts = readAccounts(TRANSFER_FIELDS.edit);
+  if (!name || !accounts) return;
+  const money = await readMoney(MONEY_FIELDS.edit, date);
+  if (!money || money.amount <= 0) return;
+  const { amount } = money;
+  const split = readSplit(SPLIT_FIELDS.edit, amount);
+  if (split === null) return;
 
   const tx = await dbp.get('transactions', state.editId);
+  const prev = { ...tx };
   tx.type = type; tx.name = name; tx.amount = amount; tx.date = date;
+  tx.categoryId = categoryId; tx.tags = tags;
+  delete tx.split;
+  if (split) tx.split = split;
+  delete tx.toAccountId;
+  Object.assign(tx, accounts);
+  delete tx.currency; delete tx.originalAmount; delete tx.rate;
+  Object.assign(tx, money.fx);
+  // La primera cuota lleva el documento de toda la compra: el IVA se calcula sobre el total
+  const purchase = tx.purchaseId && tx.installment === 1 ? await dbp.get('purchases', tx.purchaseId) : null;
+  applyDocType(tx, type === 'transfer' ? '' : $('#editDocType').value, purchase?.total);
+
+  const added = await saveAttachments([...$('#editPhoto').files, ...$('#editDocument').files]);
+  tx.attachments = [...editAttachments.keep, ...added];
+
+  const before = budgetUsage();
+  const scope = tx.recurringId ? $('#editScope').value : 'one';
+  if (tx.recurringId) await applyRecurringEdit(tx, scope);
+  await dbp.put('transactions', tx);
+  // Los adjuntos quitados no se borran: la versión anterior puede restaurarse (ver purgeTrash)
+  await logChange('update', prev, tx);
+
+  $('#editPhoto').value = '';
+  $('#editDocument').value = '';
+  $('#editDialog').close();
+  // Cambiar la serie completa toca varias transacciones: se recalcula todo
+  if (scope === 'future') await loadAll();
+  else {
+    patchTx(prev, tx);
+    offerUndo(tr('"{name}" actualizada.', { name }), () => revertTx(prev));
+  }
+  checkBudgetAlerts(before);
+}
+
+// La transacción pasa a la papelera con sus adjuntos; se purga después de TRASH_DAYS días
+async function deleteTx(id, { undo = true } = {}) {
+  const prev = await dbp.get('transactions', id);
+  if (!prev) return;
+  await dbp.put('trash', { ...prev, deleted: Date.now() });
+  await dbp.delete('transactions', id);
+  await logChange('delete', prev, null);
+  patchTx(prev, null);
+  if (undo) offerUndo(tr('"{name}" se movió a la papelera.', { name: prev.name }), () => restoreTx(id));
+}
+
+// ---------- Historial, papelera y deshacer ----------
+// Cada alta, edición y baja deja en `history` la versión anterior y la nueva de la transacción.
+// Las versiones guardan solo las referencias a los adjuntos: los archivos se conservan mientras
+// estén en uso, en la papelera o en una versión de los últimos TRASH_DAYS días.
+const TRASH_DAYS = 30;
+const UNDO_MS = 8000;
+const HISTORY_ACTIONS = { create: 'Creada', update: 'Editada', delete: 'Eliminada', restore: 'Restaurada', revert: 'Revertida' };
+const HISTORY_SOURCES = {
+  recurring: 'regla recurrente', installments: 'compra en cuotas', series: 'cambio de la serie',
+  csv: 'importación CSV', bank: 'cartola', category: 'categoría eliminada',
+};
+// Campos que se comparan entre versiones, con su etiqueta (se traduce al mostrar) y formato
+const HISTORY_FIELDS = {
+  type: ['Tipo', (v) => tr(TYPE_LABELS[v])],
+  name: ['Nombre', (v) => v],
+  amount: ['Monto', (v) => fmt(v)],
+  date: ['Fecha', (v) => formatDate(v)],
+  accountId: ['Cuenta', (v) => accountById(v)?.name ?? '—'],
+  toAccountId: ['Hacia', (v) => accountById(v)?.name ?? '—'],
+  categoryId: ['Categoría', (v) => categoryById(v)?.name ?? tr('Sin categoría')],
+  docType: ['Documento', (v) => tr(DOC_TYPES[v] || 'Sin documento')],
+  tags: ['Etiquetas', (v) => v?.length ? v.map(x => `#${x}`).join(' ') : '—'],
+  attachments: ['Adjuntos', (v) => String(v?.length || 0)],
+};
+
+let undoTimer = null;
+let historyTxId = null; // transacción abierta en el diálogo de historial
+
+// source: 'user' para las acciones desde la interfaz; el resto, ver HISTORY_SOURCES
+function logChange(action, before, after, source = 'user') {
+  return dbp.add('history', { txId: (after || before).id, action, before, after, source, at: Date.now() });
+}
+
+function offerUndo(text, run) {
+  const toast = $('#undoToast');
+  $('#undoText').textContent = text;
+  toast.classList.remove('hidden');
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(() => toast.classList.add('hidden'), UNDO_MS);
+  $('#undoBtn').onclick = () => {
+    clearTimeout(undoTimer);
+    toast.classList.add('hidden');
+    run();
+  };
+}
+
+// Los archivos de versiones antiguas pueden haberse purgado
+async function existingAttachments(refs = []) {
+  const found = await Promise.all(refs.map(r => dbp.get('attachments', r.storeId)));
+  return refs.filter((r, i) => found[i]);
+}
+
+async function restoreTx(id) {
+  const entry = await dbp.get('trash', id);
+  if (!entry) return;
+  const { deleted, ...tx } = entry;
+  await dbp.put('transactions', tx);
+  await dbp.delete('trash', id);
+  await logChange('restore', null, tx);
+  patchTx(null, tx);
+}
+
+// Vuelve a una versión anterior (mismo id); la actual queda en el historial
+async function revertTx(version) {
+  const current = await dbp.get('transactions', version.id);
+  if (!current) return showAlert(tr('La transacción está en la papelera: restáurala desde ahí.'));
+  const tx = { ...version, attachments: await existingAttachments(version.attachments) };
+  await dbp.put('transactions', tx);
+  await logChange('revert', current, tx);
+  patchTx(current, tx);
+}
+
+function describeChanges(before, after) {
+  return Object.entries(HISTORY_FIELDS)
+    .filter(([k]) => JSON.stringify(before[k] ?? null) !== JSON.stringify(after[k] ?? null))
+    .map(([k, [label, f]]) => `${tr(label)}: ${f(before[k])} → ${f(after[k])}`);
+}
+
+async function openHistoryDialog() {
+  historyTxId = state.editId;
+  $('#editDialog').close();
+  $('#historyDialog').showModal();
+  await renderHistory();
+}
+
+async function renderHistory() {
+  const [entries, current] = await Promise.all([
+    dbp.getAllByIndex('history', 'by_tx', IDBKeyRange.only(historyTxId)),
+    dbp.get('transactions', historyTxId),
+  ]);
+  $('#historyTitle').textContent = current ? tr('Historial de "{name}"', { name: current.name }) : tr('Historial');
+  const ul = $('#historyList');
+  ul.innerHTML = '';
+  if (!entries.length) ul.innerHTML = `<li class="muted">${tr('Sin cambios registrados.')}</li>`;
+  for (const h of entries.reverse()) {
+    const li = document.createElement('li');
+    const k = document.createElement('div');
+    const when = new Date(h.at).toLocaleString(settings.locale, { dateStyle: 'medium', timeStyle: 'short' });
+    const source = HISTORY_SOURCES[h.source] ? ` · ${tr(HISTORY_SOURCES[h.source])}` : '';
+    k.innerHTML = `<strong></strong> <span class="muted"></span>`;
+    k.querySelector('strong').textContent = tr(HISTORY_ACTIONS[h.action]);
+    k.querySelector('.muted').textContent = when + source;
+    const changes = h.before && h.after ? describeChanges(h.before, h.after) : [];
+    for (const line of changes) {
+      const d = document.createElement('div');
+      d.className = 'muted';
+      d.textContent = line;
+      k.appendChild(d);
+    }
+    li.appendChild(k);
+    if (h.after && current && describeChanges(current, h.after).length) {
+      li.appendChild(iconButton('↺', tr('Volver a esta versión'), async () => {
+        await revertTx(h.after);
+        await renderHistory();
+      }));
+    }
+    ul.appendChild(li);
+  }
+}
+
+async function openTrashDialog() {
+  $('#trashDialog').showModal();
+  await renderTrash();
+}
+
+async function renderTrash() {
+  const items = (await dbp.getAll('trash')).sort((a, b) => b.deleted - a.deleted);
+  const ul = $('#trashList');
+  ul.innerHTML = '';
+  if (!items.length) ul.innerHTML = `<li class="muted">${tr('La papelera está vacía.')}</li>`;
+  $('#emptyTrashBtn').disabled = !items.length;
+  for (const t of items) {
+    const li = document.createElement('li');
+    const k = document.createElement('div');
+    k.textContent = `${t.name} — ${fmt(t.amount)}`;
+    const d = document.createElement('div');
+    d.className = 'muted';
+    const purge = new Date(t.deleted + TRASH_DAYS * DAY_MS).toLocaleDateString(settings.locale);
+    d.textContent = `${formatDate(t.date)} · ${accountLabel(t, false)} · ${tr('se elimina el {date}', { date: purge })}`;
+    k.appendChild(d);
+    const right = document.createElement('span');
+    right.className = 'right';
+    right.append(
+      iconButton('↺', tr('Restaurar {name}', { name: t.name }), async () => { await restoreTx(t.id); await renderTrash(); }),
+      iconButton('✕', tr('Eliminar {name} definitivamente', { name: t.name }), async () => {
+        if (!confirm(tr('¿Eliminar "{name}" definitivamente? No se puede deshacer.', { name: t.name }))) return;
+        await purgeTrashItems([t]);
+        await renderTrash();
+      }),
+    );
+    li.append(k, right);
+    ul.appendChild(li);
+  }
+}
+
+async function emptyTrash(ev) {
+  ev.preventDefault();
+  const items = await dbp.getAll('trash');
+  if (!items.length || !confirm(tr('¿Eliminar definitivamente {n} transacciones de la papelera?', { n: items.length }))) return;
+  await purgeTrashItems(items);
+  await renderTrash();
+}
+
+// Adjuntos que aún pueden hacer falta: de transacciones, compras, papelera y versiones recientes
+async function attachmentsInUse(now = Date.now()) {
+  const used = new Set();
+  const add = (refs) => { for (const a of refs || []) used.add(a.storeId); };
+  await dbp.each('transactions', (t) => add(t.attachments));
+  for (const p of await dbp.getAll('purchases')) add(p.attachments);
+  for (const t of await dbp.getAll('trash')) add(t.attachments);
+  const recent = await dbp.getAllByIndex('history', 'by_at', IDBKeyRange.lowerBound(now - TRASH_DAYS * DAY_MS));
+  for (const h of recent) { add(h.before?.attachments); add(h.after?.attachments); }
+  return used;
+}
+
+async function purgeTrashItems(items) {
+  for (const t of items) await dbp.delete('trash', t.id);
+  await deleteAttachments(items.flatMap(t => t.attachments || []));
+}
+
+// Al iniciar: vacía lo vencido de la papelera y borra los archivos que solo quedaban en
+// versiones que ya salieron del plazo (desde la última purga).
+async function purgeTrash(now = Date.now()) {
+  const limit = now - TRASH_DAYS * DAY_MS;
+  const expired = (await dbp.getAll('trash')).filter(t => t.deleted < limit);
+  const last = (await dbp.get('meta', 'trashPurged'))?.value ?? 0;
+  const old = await dbp.getAllByIndex('history', 'by_at', IDBKeyRange.bound(last, limit, false, true));
+  const refs = old.flatMap(h => [...(h.before?.attachments || []), ...(h.after?.attachments || [])]);
+  for (const t of expired) await dbp.delete('trash', t.id);
+  refs.push(...expired.flatMap(t => t.attachments || []));
+  if (refs.length) await deleteAttachments(refs, now);
+  await dbp.put('meta', { key: 'trashPurged', value: limit });
+}
 
-  // Si se proporcionan archivos nuevos, reemplaza los existentes
+// ---------- Adjuntos ----------
+// Las transacciones guardan referencias { storeId, kind, name, type }; el store `attachments`
+// tiene el archivo (`blob`) y, en las imágenes, una miniatura (`thumb`).
+const PHOTO_MAX = 1600; // px del lado mayor al guardar fotos
+const THUMB_MAX = 240;
+const JPEG_QUALITY = 0.82;
+
+let viewer = { refs: [], index: 0, url: null };
+let editAttachments = { keep: [] }; // adjuntos que quedan en el diálogo de edición
+let storageScan = null;
+
+// Imagen reducida a `max` px del lado mayor, o null si el navegador no la puede decodificar (p. ej. HEIC)
+async function scaleImage(blob, max) {
+  let bmp;
+  try {
+    bmp = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+  } catch {
+    return null;
+  }
+  const scale = Math.min(1, max / Math.max(bmp.width, bmp.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bmp.width * scale);
+  canvas.height = Math.round(bmp.height * scale);
+  canvas.getContext('2d').drawImage(bmp, 0, 0, canvas.width, canvas.height);
+  bmp.close();
+  return new Promise(res => canvas.toBlob(res, 'image/jpeg', JPEG_QUALITY));
+}
+
+async function saveAttachments(files) {
+  const refs = [];
+  for (const file of files) {
+    const image = file.type.startsWith('image/');
+    let blob = file, type = file.type, thumb = null;
+    if (image) {
+      const scaled = await scaleImage(file, PHOTO_MAX);
+      // Se reemplaza el original solo si queda más liviano
+      if (scaled && scaled.size < file.size) { blob = scaled; type = 'image/jpeg'; }
+      thumb = await scaleImage(file, THUMB_MAX);
+    }
+    const storeId = await dbp.add('attachments', { blob, thumb, name: file.name, type, created: Date.now() });
+    refs.push({ storeId, kind: image ? 'photo' : 'document', name: file.name, type });
+  }
+  return refs;
+}
+
+// Un archivo puede estar en varias referencias (la compra y su primera cuota, una versión anterior):
+// solo se borra el que ya nadie usa, comprobado justo antes de borrar.
+async function deleteAttachments(refs = [], now = Date.now()) {
+  if (!refs.length) return;
+  const used = await attachmentsInUse(now);
+  for (const ref of refs) if (!used.has(ref.storeId)) await dbp.delete('attachments', ref.storeId);
+}
+
+// Miniatura guardada, o generada ahora para adjuntos antiguos o restaurados de un respaldo
+async function attachmentThumb(ref) {
+  if (!ref.type?.startsWith('image/')) return null;
+  const at = await dbp.get('attachments', ref.storeId);
+  if (!at?.blob) return null;
+  if (at.thumb) return at.thumb;
+  at.thumb = await scaleImage(at.blob, THUMB_MAX);
+  if (at.thumb) await dbp.put('attachments', at);
+  return at.thumb;
+}
+
+function thumbTile(ref, onOpen, onRemove) {
+  const li = document.createElement('li');
+  li.className = 'attachment-tile';
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.title = ref.name;
+  btn.setAttribute('aria-label', tr('Ver {name}', { name: ref.name }));
+  btn.textContent = ref.kind === 'photo' ? '🖼' : '📄';
+  btn.addEventListener('click', onOpen);
+  attachmentThumb(ref).then(thumb => {
+    if (!thumb) return;
+    const img = document.createElement('img');
+    img.alt = '';
+    img.src = URL.createObjectURL(thumb);
+    img.onload = () => URL.revokeObjectURL(img.src);
+    btn.replaceChildren(img);
+  });
+  li.appendChild(btn);
+  if (onRemove) li.appendChild(iconButton('✕', tr('Quitar {name}', { name: ref.name }), onRemove));
+  return li;
+}
+
+function renderEditAttachments() {
+  const ul = $('#editAttachments');
+  ul.innerHTML = '';
+  editAttachments.keep.forEach((ref, i) => ul.appendChild(thumbTile(ref, () => openViewer(editAttachments.keep, i), () => {
+    editAttachments.keep.splice(i, 1);
+    renderEditAttachments();
+  })));
+}
+
+function openViewer(refs, index = 0) {
+  viewer.refs = refs;
+  const strip = $('#viewerStrip');
+  strip.innerHTML = '';
+  refs.forEach((ref, i) => strip.appendChild(thumbTile(ref, () => showAttachment(i))));
+  strip.classList.toggle('hidden', refs.length < 2);
+  $('#viewerDialog').showModal();
+  showAttachment(index);
+}
+
+async function showAttachment(i) {
+  const n = viewer.refs.length;
+  viewer.index = (i + n) % n;
+  const ref = viewer.refs[viewer.index];
+  const at = await dbp.get('attachments', ref.storeId);
+  if (viewer.url) URL.revokeObjectURL(viewer.url);
+  viewer.url = at?.blob ? URL.createObjectURL(at.blob) : null;
+
+  const stage = $('#viewerStage');
+  stage.innerHTML = '';
+  if (!at) {
+    stage.textContent = tr('El archivo ya no está disponible.');
+  } else if (!at.blob) {
+    stage.textContent = tr('El archivo aún no se descarga de otro dispositivo: sincroniza para obtenerlo.');
+  } else if (at.type.startsWith('image/')) {
+    const img = document.createElement('img');
+    img.src = viewer.url;
+    img.alt = ref.name;
+    stage.appendChild(img);
+  } else if (at.type === 'application/pdf') {
+    const frame = document.createElement('iframe');
+    frame.src = viewer.url;
+    frame.title = ref.name;
+    stage.appendChild(frame);
+  } else if (isXMLFile(at)) {
+    const pre = document.createElement('pre');
+    pre.textContent = await readXMLText(at.blob);
+    stage.appendChild(pre);
+  } else {
+    stage.textContent = tr('Sin vista previa para este tipo de archivo.');
+  }
+  $('#viewerName').textContent = n > 1 ? tr('{name} · {i} de {n}', { name: ref.name, i: viewer.index + 1, n }) : ref.name;
+  const download = $('#viewerDownload');
+  download.classList.toggle('hidden', !at?.blob);
+  download.href = viewer.url || '#';
+  download.download = ref.name;
+  $('#viewerPrev').disabled = $('#viewerNext').disabled = n < 2;
+  $$('#viewerStrip .attachment-tile').forEach((li, j) => li.classList.toggle('active', j === viewer.index));
+}
+
+function onViewerKey(ev) {
+  if (ev.key === 'ArrowLeft') showAttachment(viewer.index - 1);
+  if (ev.key === 'ArrowRight') showAttachment(viewer.index + 1);
+}
+
+function closeViewer() {
+  if (viewer.url) URL.revokeObjectURL(viewer.url);
+  viewer = { refs: [], index: 0, url: null };
+  $('#viewerStage').innerHTML = '';
+}
+
+function fmtBytes(n) {
+  if (n < 1024) return `${n} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let i = -1;
+  do { n /= 1024; i++; } while (n >= 1024 && i < units.length - 1);
+  return `${n.toLocaleString(settings.locale, { maximumFractionDigits: 1 })} ${units[i]}`;
+}
+
+// Adjuntos sin ninguna referencia: quedan de datos antiguos o de restauraciones incompletas
+async function scanAttachments() {
+  const used = await attachmentsInUse();
+  const scan = { count: 0, bytes: 0, orphans: [], orphanBytes: 0 };
+  await dbp.each('attachments', (at) => {
+    const size = (at.blob?.size || 0) + (at.thumb?.size || 0);
+    scan.count++;
+    scan.bytes += size;
+    if (!used.has(at.id)) {
+      scan.orphans.push(at.id);
+      scan.orphanBytes += size;
+    }
+  });
+  return scan;
+}
+
+async function openStorageDialog() {
+  $('#storageDialog').showModal();
+  await renderStorage();
+}
+
+async function renderStorage() {
+  const ul = $('#storageInfo');
+  ul.innerHTML = '';
+  addInfo(ul, tr('Calculando…'), '');
+  $('#purgeOrphansBtn').disabled = true;
+  const [estimate, scan] = await Promise.all([
+    navigator.storage?.estimate ? navigator.storage.estimate() : null,
+    scanAttachments(),
+  ]);
+  storageScan = scan;
+  ul.innerHTML = '';
+  if (estimate) {
+    addInfo(ul, tr('Uso del navegador'), tr('{used} de {quota}', { used: fmtBytes(estimate.usage), quota: fmtBytes(estimate.quota) }));
+    $('#storageBar').max = estimate.quota || 1;
+    $('#storageBar').value = estimate.usage;
+  } else {
+    addInfo(ul, tr('Uso del navegador'), tr('No disponible'));
+  }
+  $('#storageBar').classList.toggle('hidden', !estimate);
+  addInfo(ul, tr('Adjuntos'), `${scan.count} · ${fmtBytes(scan.bytes)}`);
+  addInfo(ul, tr('Sin referencia'), `${scan.orphans.length} · ${fmtBytes(scan.orphanBytes)}`);
+  $('#purgeOrphansBtn').disabled = !scan.orphans.length;
+}
+
+async function purgeOrphans(ev) {
+  ev.preventDefault();
+  const ids = storageScan?.orphans || [];
+  if (!ids.length || !confirm(tr('¿Eliminar {n} archivos sin referencia ({size})?', { n: ids.length, size: fmtBytes(storageScan.orphanBytes) }))) return;
+  // El análisis puede haber quedado viejo (una sincronización, otra pestaña): se vuelve a comprobar
+  await deleteAttachments(ids.map(storeId => ({ storeId })));
+  await renderStorage();
+}
+
+// ---------- Documentos tributarios (DTE) ----------
+// Boletas y facturas electrónicas del SII en XML: se leen localmente para completar el
+// formulario. El XML queda como adjunto y (RUT emisor, tipo, folio) identifica el documento.
+const DTE_TYPES = {
+  33: 'Factura electrónica',
+  34: 'Factura exenta',
+  39: 'Boleta electrónica',
+  41: 'Boleta exenta',
+  46: 'Factura de compra',
+  52: 'Guía de despacho',
+  56: 'Nota de débito',
+  61: 'Nota de crédito',
+};
+
+let dteImport = null; // DTE leído del archivo elegido en el formulario, hasta guardarlo
+
+const isXMLFile = (f) => /xml/i.test(f.type) || /\.xml$/i.test(f.name || '');
+const dteKey = (d) => `${d.issuerRut}|${d.type}|${d.folio}`;
+
+// Los XML del SII suelen venir en ISO-8859-1: se respeta la codificación declarada
+async function readXMLText(blob) {
+  const buf = await blob.arrayBuffer();
+  const head = new TextDecoder('windows-1252').decode(buf.slice(0, 200));
+  const encoding = /encoding=["']([\w-]+)["']/i.exec(head)?.[1] || 'utf-8';
+  try {
+    return new TextDecoder(encoding).decode(buf);
+  } catch {
+    return new TextDecoder('utf-8').decode(buf);
+  }
+}
+
+// Un DTE suelto o un EnvioDTE con varios: devuelve uno por documento
+function parseDTE(text) {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length) throw new Error(tr('El archivo no es un XML válido.'));
+  const headers = Array.from(xml.getElementsByTagNameNS('*', 'Encabezado'));
+  if (!headers.length) throw new Error(tr('El XML no contiene un documento tributario electrónico.'));
+  return headers.map((enc) => {
+    const part = (name) => enc.getElementsByTagNameNS('*', name)[0] || null;
+    const get = (el, name) => el?.getElementsByTagNameNS('*', name)[0]?.textContent.trim() || '';
+    const idDoc = part('IdDoc'), issuer = part('Emisor'), totals = part('Totales');
+    const type = Number(get(idDoc, 'TipoDTE'));
+    return {
+      type,
+      typeName: DTE_TYPES[type] || `DTE ${type}`,
+      folio: get(idDoc, 'Folio'),
+      date: get(idDoc, 'FchEmis'),
+      issuerRut: get(issuer, 'RUTEmisor'),
+      // Las boletas usan RznSocEmisor
+      issuerName: get(issuer, 'RznSoc') || get(issuer, 'RznSocEmisor'),
+      net: Number(get(totals, 'MntNeto')) || 0,
+      exempt: Number(get(totals, 'MntExe')) || 0,
+      iva: Number(get(totals, 'IVA')) || 0,
+      total: Number(get(totals, 'MntTotal')) || 0,
+    };
+  });
+}
+
+async function onDocumentFiles() {
+  clearDte();
+  const file = Array.from($('#document').files).find(isXMLFile);
+  if (!file) return;
+  let docs;
+  try {
+    docs = parseDTE(await readXMLText(file));
+  } catch (err) {
+    showDteInfo(err.message, true);
+    return;
+  }
+  const dte = docs[0];
+  const key = dteKey(dte);
+  const existing = [
+    ...await dbp.getAllByIndex('transactions', 'by_dteKey', IDBKeyRange.only(await indexValue(key))),
+    // Una compra en cuotas cuya primera cuota aún no vence todavía no tiene transacción
+    ...(await dbp.getAll('purchases')).filter(p => p.dteKey === key && !p.generated).map(p => ({ date: p.first, name: p.name })),
+  ];
+  dteImport = { ...dte, key, duplicate: existing.length > 0 };
+
+  // Una nota de crédito del proveedor es una devolución
+  $('#type').value = dte.type === 61 ? 'income' : 'expense';
+  syncTransferFields(TRANSFER_FIELDS.add);
+  $('#docType').value = dteDocType(dte.type);
+  $('#name').value = dte.issuerName;
+  $('#amount').value = dte.total;
+  $('#currency').value = 'CLP'; // los DTE del SII vienen en pesos
+  resetCurrencyInputs(MONEY_FIELDS.add);
+  if (dte.date) $('#date').value = dte.date;
+  updateIvaHint();
+
+  const parts = [`${dte.typeName} N° ${dte.folio}`, `${dte.issuerName} (${dte.issuerRut})`];
+  if (dte.iva) parts.push(tr('Neto {net} · IVA {iva}', { net: fmt(dte.net), iva: fmt(dte.iva) }));
+  if (docs.length > 1) parts.push(tr('el archivo trae {n} documentos, se usó el primero', { n: docs.length }));
+  if (existing.length) {
+    const t = existing[0];
+    parts.push(tr('⚠ ya registrada el {date} como "{name}"', { date: formatDate(t.date), name: t.name }));
+  }
+  showDteInfo(parts.join(' · '), existing.length > 0);
+}
+
+function showDteInfo(text, warn) {
+  const p = $('#dteInfo');
+  p.textContent = text;
+  p.classList.toggle('warn', warn);
+  p.classList.remove('hidden');
+}
+
+function clearDte() {
+  dteImport = null;
+  $('#dteInfo').classList.add('hidden');
+}
+
+function onFormDragOver(ev) {
+  if (!ev.dataTransfer?.types.includes('Files')) return;
+  ev.preventDefault();
+  $('#txForm').classList.add('dragging');
+}
+
+// Soltar archivos sobre el formulario equivale a elegirlos en "Archivos"
+function onFormDrop(ev) {
+  $('#txForm').classList.remove('dragging');
+  if (!ev.dataTransfer?.files.length) return;
+  ev.preventDefault();
+  $('#document').files = ev.dataTransfer.files;
+  onDocumentFiles();
+}
+
+// ---------- Filtros y consultas ----------
+// filter: { q, name, type, categoryId, from, to, min, max, receipt: 'yes'|'no' }
+// `queryTxs` elige el índice más selectivo (by_date, by_type o by_name) y aplica el resto en memoria.
+const FILTER_PARAMS = { q: 'q', name: 'nombre', type: 'tipo', categoryId: 'cat', accountId: 'cuenta', from: 'desde', to: 'hasta', min: 'min', max: 'max', receipt: 'comprobante' };
+
+const filterActive = (f) => Object.values(f).some(v => v !== '' && v != null);
+
+function cleanFilter(f) {
+  return Object.fromEntries(Object.entries(f).filter(([k, v]) => k in FILTER_PARAMS && v !== '' && v != null));
+}
+
+async function queryTxs(filter) {
+  const f = cleanFilter(filter);
+  let rows;
+  if (f.from || f.to) {
+    rows = await dbp.getAllByIndex('transactions', 'by_date', IDBKeyRange.bound(f.from || '0000-01-01', f.to || '9999-12-31'));
+  } else if (f.name && !vault.lock) {
+    // Con clave el nombre va cifrado y by_name no lo ve: se filtra en memoria
+    rows = await dbp.getAllByIndex('transactions', 'by_name', IDBKeyRange.only(f.name));
+  } else if (f.type) {
+    rows = await dbp.getAllByIndex('transactions', 'by_type', IDBKeyRange.only(f.type));
+  } else {
+    rows = await dbp.getAll('transactions');
+  }
+  return rows
+    .filter(t => matchesFilter(t, f))
+    .sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+}
+
+function matchesFilter(t, f) {
+  if (f.type && t.type !== f.type) return false;
+  if (f.name && t.name !== f.name) return false;
+  if (f.from && t.date < f.from) return false;
+  if (f.to && t.date > f.to) return false;
+  if (f.min != null && t.amount < f.min) return false;
+  if (f.max != null && t.amount > f.max) return false;
+  if (f.accountId != null && accountOf(t) !== f.accountId && t.toAccountId !== f.accountId) return false;
+  if (f.categoryId != null && (f.categoryId === 'none' ? t.categoryId != null : t.categoryId !== f.categoryId)) return false;
+  if (f.receipt === 'yes' && !t.attachments?.length) return false;
+  if (f.receipt === 'no' && t.attachments?.length) return false;
+  if (f.q) {
+    const q = f.q.toLowerCase();
+    const haystack = [t.name, ...(t.tags || []), t.bankDescription || ''].join(' ').toLowerCase();
+    if (!haystack.includes(q)) return false;
+  }
+  return true;
+}
+
+// El filtro activo vive en la URL para sobrevivir a una recarga
+function filterFromURL() {
+  const params = new URLSearchParams(location.search);
+  const f = {};
+  for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+    const v = params.get(param);
+    if (v == null || v === '') continue;
+    if (key === 'min' || key === 'max') f[key] = Number(v);
+    else if (key === 'categoryId') f[key] = v === 'none' ? 'none' : Number(v);
+    else if (key === 'accountId') f[key] = Number(v);
+    else f[key] = v;
+  }
+  return f;
+}
+
+function filterToURL(f, push) {
+  const params = new URLSearchParams(location.search);
+  for (const [key, param] of Object.entries(FILTER_PARAMS)) {
+    if (f[key] != null && f[key] !== '') params.set(param, f[key]);
+    else params.delete(param);
+  }
+  const qs = params.toString();
+  const url = `${location.pathname}${qs ? `?${qs}` : ''}${location.hash}`;
+  if (push) history.pushState(null, '', url);
+  else history.replaceState(null, '', url);
+}
+
+async function setFilter(f, { push = true } = {}) {
+  state.filter = cleanFilter(f);
+  filterToURL(state.filter, push);
+  syncFilterBar();
+  await refreshView();
+}
+
+function onFilterBarChange() {
+  const num = (id) => ($(id).value === '' ? null : Number($(id).value));
+  const cat = $('#filterCategory').value;
+  setFilter({
+    ...state.filter,
+    type: $('#filterType').value,
+    categoryId: cat === '' ? null : cat === 'none' ? 'none' : Number(cat),
+    accountId: $('#filterAccount').value ? Number($('#filterAccount').value) : null,
+    from: $('#filterFrom').value,
+    to: $('#filterTo').value,
+    min: num('#filterMin'),
+    max: num('#filterMax'),
+    receipt: $('#filterReceipt').value,
+  });
+}
+
+function syncFilterBar() {
+  const f = state.filter;
+  // Mientras se escribe el texto ya coincide: reescribirlo borraría el espacio final y movería el cursor
+  if ($('#search').value.trim() !== (f.q || '')) $('#search').value = f.q || '';
+  $('#filterType').value = f.type || '';
+  $('#filterCategory').value = f.categoryId ?? '';
+  $('#filterAccount').value = f.accountId ?? '';
+  $('#filterFrom').value = f.from || '';
+  $('#filterTo').value = f.to || '';
+  $('#filterMin').value = f.min ?? '';
+  $('#filterMax').value = f.max ?? '';
+  $('#filterReceipt').value = f.receipt || '';
+  const chip = $('#filterNameChip');
+  chip.classList.toggle('hidden', !f.name);
+  chip.textContent = f.name ? tr('Nombre: {name} ✕', { name: f.name }) : '';
+  chip.onclick = () => setFilter({ ...state.filter, name: null });
+  $('#clearFilterBtn').disabled = !filterActive(f);
+}
+
+async function savedFilters() {
+  return (await dbp.get('meta', 'savedFilters'))?.value || [];
+}
+
+async function renderSavedFilters() {
+  const sel = $('#savedFilters');
+  sel.innerHTML = `<option value="">${tr('Filtros guardados…')}</option>`;
+  for (const s of await savedFilters()) {
+    const opt = document.createElement('option');
+    opt.value = s.id;
+    opt.textContent = s.label;
+    sel.appendChild(opt);
+  }
+}
+
+async function saveCurrentFilter() {
+  if (!filterActive(state.filter)) return;
+  const label = prompt(tr('Nombre para este filtro:'))?.trim();
+  if (!label) return;
+  const list = await savedFilters();
+  list.push({ id: String(Date.now()), label, filter: state.filter });
+  await dbp.put('meta', { key: 'savedFilters', value: list });
+  await renderSavedFilters();
+}
+
+async function applySavedFilter(e) {
+  const saved = (await savedFilters()).find(s => s.id === e.target.value);
+  if (saved) await setFilter(saved.filter);
+}
+
+async function deleteSavedFilter() {
+  const id = $('#savedFilters').value;
+  if (!id) return;
+  const list = (await savedFilters()).filter(s => s.id !== id);
+  await dbp.put('meta', { key: 'savedFilters', value: list });
+  await renderSavedFilters();
+}
+
+// ---------- Gráfico (ingresos vs gastos) ----------
+// Periodos alineados al calendario y rellenos con cero: un día sin movimientos también es un dato.
+// Ingresos y gastos apilados en una barra por periodo, más el saldo acumulado como línea.
+const CHART_GROUPS = {
+  day: { count: 31, noun: 'días' },
+  week: { count: 12, noun: 'semanas' },
+  fortnight: { count: 12, noun: 'quincenas' },
+  month: { count: 12, noun: 'meses' },
+};
+const CHART_H = 180;
+const CHART_PAD = { top: 8, right: 8, bottom: 22, left: 8 };
+
+let chart = { buckets: [], focus: -1 };
+
+// Inicio del periodo que contiene `d` (semanas desde settings.weekStart, quincenas como fortnightRange)
+function periodStart(d, group) {
+  const x = startOfDay(d);
+  if (group === 'week') return addDays(x, -((x.getDay() - settings.weekStart + 7) % 7));
+  if (group === 'fortnight') return fortnightRange(x).start;
+  if (group === 'month') return new Date(x.getFullYear(), x.getMonth(), 1);
+  return x;
+}
+
+function nextPeriod(start, group) {
+  if (group === 'week') return addDays(start, 7);
+  if (group === 'fortnight') return addDays(fortnightRange(start).end, 1);
+  if (group === 'month') return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+  return addDays(start, 1);
+}
+
+function periodLabel(b, group, long = false) {
+  const { start, end } = b;
+  const dm = (d) => d.toLocaleDateString(settings.locale, { day: '2-digit', month: 'short' });
+  const month = (d, m) => d.toLocaleDateString(settings.locale, { month: m, year: long ? 'numeric' : '2-digit' });
+  if (group === 'week') return long ? tr('Semana del {from} al {to} {year}', { from: dm(start), to: dm(end), year: end.getFullYear() }) : dm(start);
+  if (group === 'fortnight') {
+    const n = tr(start.getDate() === 1 ? '1ª' : '2ª');
+    return long ? tr('{n} quincena de {month}', { n, month: month(start, 'long') }) : `${n} ${start.toLocaleDateString(settings.locale, { month: 'short' })}`;
+  }
+  if (group === 'month') return month(start, long ? 'long' : 'short');
+  return long ? start.toLocaleDateString(settings.locale, { weekday: 'long', day: '2-digit', month: 'long', year: 'numeric' }) : dm(start);
+}
+
+// Últimos `count` periodos hasta `endDate`, con el saldo acumulado (incluye lo anterior al primer periodo)
+function chartSeries(daily, group, endDate) {
+  const buckets = [];
+  let start = periodStart(endDate, group);
+  for (let i = 0; i < CHART_GROUPS[group].count; i++) {
+    buckets.unshift({ start, end: addDays(nextPeriod(start, group), -1), income: 0, expense: 0, balance: 0 });
+    start = periodStart(addDays(start, -1), group);
+  }
+  const index = new Map(buckets.map((b, i) => [isoDate(b.start), i]));
+  const first = isoDate(buckets[0].start);
+  const last = isoDate(buckets[buckets.length - 1].end);
+  let balance = 0;
+  for (const [date, d] of daily) {
+    if (date < first) { balance += d.income - d.expense; continue; }
+    if (date > last) continue;
+    const b = buckets[index.get(isoDate(periodStart(parseDate(date), group)))];
+    b.income += d.income;
+    b.expense += d.expense;
+  }
+  for (const b of buckets) {
+    balance += b.income - b.expense;
+    b.balance = balance;
+  }
+  return buckets;
+}
+
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  return el;
+}
+
+function renderChart() {
+  const host = $('#chart');
+  const group = state.chartGroup;
+  const end = state.filter.to ? parseDate(state.filter.to) : new Date();
+  const buckets = chart.buckets = chartSeries(state.viewDaily || state.daily, group, end);
+  const n = buckets.length;
+  if (chart.focus >= n || chart.focus < 0) chart.focus = n - 1;
+
+  const W = host.clientWidth || 600;
+  const innerW = W - CHART_PAD.left - CHART_PAD.right;
+  const innerH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const slot = innerW / n;
+  const barW = Math.max(2, slot * 0.7);
+  // La escala sale del periodo más alto de la serie visible, no del histórico completo
+  const max = Math.max(0, ...buckets.map(b => b.income + b.expense));
+  const scale = innerH / (max || 1);
+  const zeroY = CHART_PAD.top + innerH;
+  const x = (i) => CHART_PAD.left + slot * i + slot / 2;
+
+  const svg = svgEl('svg', { viewBox: `0 0 ${W} ${CHART_H}`, width: W, height: CHART_H, role: 'group' });
+  svg.appendChild(svgEl('line', { class: 'chart-axis', x1: CHART_PAD.left, x2: W - CHART_PAD.right, y1: zeroY, y2: zeroY }));
+
+  const labelEvery = Math.ceil(n / Math.max(1, Math.floor(innerW / 52)));
+  buckets.forEach((b, i) => {
+    const g = svgEl('g', {
+      class: 'chart-slot', role: 'button', 'data-i': i, tabindex: i === chart.focus ? 0 : -1,
+      'aria-label': tr('{period}: ingresos {income}, gastos {expense}, saldo acumulado {balance}', { period: periodLabel(b, group, true), income: fmt(b.income), expense: fmt(b.expense), balance: fmt(b.balance) }),
+    });
+    g.appendChild(svgEl('rect', { class: 'chart-hit', x: x(i) - slot / 2, y: 0, width: slot, height: CHART_H }));
+    // Gasto abajo e ingreso encima: la altura total es el movimiento del periodo
+    const outH = b.expense * scale;
+    const inH = b.income * scale;
+    if (b.expense) g.appendChild(svgEl('rect', { class: 'chart-expense', x: x(i) - barW / 2, y: zeroY - outH, width: barW, height: outH }));
+    if (b.income) g.appendChild(svgEl('rect', { class: 'chart-income', x: x(i) - barW / 2, y: zeroY - outH - inH, width: barW, height: inH }));
+    if ((n - 1 - i) % labelEvery === 0) {
+      const t = svgEl('text', { class: 'chart-label', x: x(i), y: CHART_H - 6, 'text-anchor': 'middle', 'aria-hidden': 'true' });
+      t.textContent = periodLabel(b, group);
+      g.appendChild(t);
+    }
+    svg.appendChild(g);
+  });
+
+  // Saldo acumulado con su propia escala: ocupa todo el alto disponible
+  const minBal = Math.min(...buckets.map(b => b.balance));
+  const span = Math.max(...buckets.map(b => b.balance)) - minBal || 1;
+  const y = (v) => CHART_PAD.top + innerH - ((v - minBal) / span) * innerH;
+  svg.appendChild(svgEl('polyline', { class: 'chart-balance', points: buckets.map((b, i) => `${x(i)},${y(b.balance)}`).join(' '), 'aria-hidden': 'true' }));
+
+  host.innerHTML = '';
+  host.appendChild(svg);
+  host.setAttribute('aria-label', tr('Ingresos y gastos de los últimos {n} {noun}. Usa las flechas para recorrer y Enter para ver las transacciones del periodo.', { n, noun: tr(CHART_GROUPS[group].noun) }));
+  hideChartTip();
+}
+
+function showChartTip(i) {
+  const b = chart.buckets[i];
+  const slot = $(`#chart .chart-slot[data-i="${i}"]`);
+  if (!b || !slot) return;
+  const tip = $('#chartTip');
+  tip.innerHTML = `<strong>${periodLabel(b, state.chartGroup, true)}</strong>
+    <span class="positive">${tr('Ingresos {amount}', { amount: fmt(b.income) })}</span>
+    <span class="negative">${tr('Gastos {amount}', { amount: fmt(b.expense) })}</span>
+    <span>${tr('Saldo acumulado {amount}', { amount: fmt(b.balance) })}</span>`;
+  tip.classList.remove('hidden');
+  const hit = slot.querySelector('.chart-hit').getBBox();
+  const max = $('#chart').clientWidth - tip.offsetWidth;
+  tip.style.left = Math.max(0, Math.min(max, hit.x + hit.width / 2 - tip.offsetWidth / 2)) + 'px';
+}
+
+function hideChartTip() {
+  $('#chartTip').classList.add('hidden');
+}
+
+function onChartHover(ev) {
+  const slot = ev.target.closest?.('.chart-slot');
+  if (slot) showChartTip(Number(slot.dataset.i));
+}
+
+// Abre el periodo en la lista como filtro de fechas (se conservan los demás criterios)
+function drillChart(i) {
+  const b = chart.buckets[i];
+  if (b) setFilter({ ...state.filter, from: isoDate(b.start), to: isoDate(b.end) });
+}
+
+function onChartClick(ev) {
+  const slot = ev.target.closest('.chart-slot');
+  if (slot) drillChart(Number(slot.dataset.i));
+}
+
+function onChartKey(ev) {
+  const slot = ev.target.closest('.chart-slot');
+  if (!slot) return;
+  const i = Number(slot.dataset.i);
+  const last = chart.buckets.length - 1;
+  const moves = { ArrowLeft: i - 1, ArrowRight: i + 1, Home: 0, End: last };
+  if (ev.key in moves) {
+    ev.preventDefault();
+    chart.focus = Math.max(0, Math.min(last, moves[ev.key]));
+    slot.setAttribute('tabindex', -1);
+    const next = $(`#chart .chart-slot[data-i="${chart.focus}"]`);
+    next.setAttribute('tabindex', 0);
+    next.focus();
+  } else if (ev.key === 'Enter' || ev.key === ' ') {
+    ev.preventDefault();
+    drillChart(i);
+  } else if (ev.key === 'Escape') {
+    hideChartTip();
+  }
+}
+
+// ---------- Informes ----------
+// Cualquier rango de fechas (o un mes / quincena pasados, o el año a la fecha) comparado con el
+// periodo equivalente anterior. Se leen directo de by_date: no dependen del filtro de la lista.
+let PERCENT = null; // se arma con el locale en applySettings
+const REPORT_TOP_NAMES = 10;
+const REPORT_ROWS = [
+  { key: 'income', label: 'Ingresos', good: 1 },
+  { key: 'expense', label: 'Gastos', good: -1 },
+  { key: 'net', label: 'Neto', good: 1 },
+  { key: 'dailyAvg', label: 'Gasto diario promedio', good: -1 },
+  { key: 'count', label: 'Transacciones', good: 0 },
+];
+
+let report = null; // último informe calculado: { kind, cur, prev } (para imprimir / descargar)
+
+function reportPresets() {
+  const now = new Date();
+  const months = [], fortnights = [];
+  for (let i = 0; i < 12; i++) {
+    const m = new Date(now.getFullYear(), now.getMonth() - i, 1);
+    months.push({ value: `month:${isoDate(m)}`, label: m.toLocaleDateString(settings.locale, { month: 'long', year: 'numeric' }) });
+  }
+  let f = fortnightRange(now).start;
+  for (let i = 0; i < 12; i++) {
+    const month = f.toLocaleDateString(settings.locale, { month: 'long', year: 'numeric' });
+    fortnights.push({ value: `fortnight:${isoDate(f)}`, label: tr('{n} quincena de {month}', { n: tr(f.getDate() === 1 ? '1ª' : '2ª'), month }) });
+    f = fortnightRange(addDays(f, -1)).start;
+  }
+  return { months, fortnights };
+}
+
+function presetRange(value) {
+  const [kind, date] = value.split(':');
+  const now = new Date();
+  if (kind === 'month') {
+    const m = parseDate(date);
+    return { kind, from: date, to: isoDate(new Date(m.getFullYear(), m.getMonth() + 1, 0)) };
+  }
+  if (kind === 'fortnight') {
+    const rg = fortnightRange(parseDate(date));
+    return { kind, from: isoDate(rg.start), to: isoDate(rg.end) };
+  }
+  if (kind === 'ytd') return { kind, from: isoDate(new Date(now.getFullYear(), 0, 1)), to: isoDate(now) };
+  return null;
+}
+
+// Periodo equivalente anterior: meses completos → los meses previos, quincena → la quincena
+// previa, año a la fecha → el mismo tramo del año pasado y, si no, igual cantidad de días antes.
+function previousRange(from, to, kind) {
+  const a = parseDate(from), b = parseDate(to);
+  if (kind === 'ytd') {
+    const y = b.getFullYear() - 1;
+    const end = new Date(y, b.getMonth(), Math.min(b.getDate(), lastDayOfMonth(new Date(y, b.getMonth(), 1))));
+    return { from: isoDate(new Date(y, 0, 1)), to: isoDate(end) };
+  }
+  const monthEnd = b.getDate() === lastDayOfMonth(b);
+  if (a.getDate() === 1 && monthEnd) {
+    const months = (b.getFullYear() - a.getFullYear()) * 12 + b.getMonth() - a.getMonth() + 1;
+    return { from: isoDate(new Date(a.getFullYear(), a.getMonth() - months, 1)), to: isoDate(addDays(a, -1)) };
+  }
+  const sameMonth = a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth();
+  const split = settings.fortnightSplit;
+  if (sameMonth && ((a.getDate() === 1 && b.getDate() === split) || (a.getDate() === split + 1 && monthEnd))) {
+    const rg = fortnightRange(addDays(a, -1));
+    return { from: isoDate(rg.start), to: isoDate(rg.end) };
+  }
+  const days = Math.round((b - a) / DAY_MS) + 1;
+  return { from: isoDate(addDays(a, -days)), to: isoDate(addDays(a, -1)) };
+}
+
+async function summarizeRange(from, to) {
+  const txs = await dbp.getAllByIndex('transactions', 'by_date', IDBKeyRange.bound(from, to));
+  const days = Math.round((parseDate(to) - parseDate(from)) / DAY_MS) + 1;
+  let income = 0, expense = 0;
+  const names = new Map();
+  for (const t of txs) {
+    const amount = ownShare(t);
+    if (t.type === 'income') income += amount;
+    if (t.type !== 'expense') continue;
+    expense += amount;
+    const n = names.get(t.name) || { name: t.name, amount: 0, count: 0 };
+    n.amount += amount;
+    n.count++;
+    names.set(t.name, n);
+  }
+  return { from, to, days, count: txs.length, income, expense, net: income - expense, dailyAvg: expense / days, names };
+}
+
+function pctChange(cur, prev) {
+  if (!prev) return cur ? tr('nuevo') : '—';
+  return PERCENT.format((cur - prev) / Math.abs(prev));
+}
+
+function topNames(r) {
+  return Array.from(r.cur.names.values())
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, REPORT_TOP_NAMES)
+    .map(n => ({ ...n, prev: r.prev.names.get(n.name)?.amount || 0 }));
+}
+
+function rangeLabel(from, to) {
+  return from === to ? formatDate(from) : `${formatDate(from)} – ${formatDate(to)}`;
+}
+
+function openReportDialog() {
+  const { months, fortnights } = reportPresets();
+  const select = $('#reportPreset');
+  select.innerHTML = '';
+  const group = (label, items) => {
+    const og = document.createElement('optgroup');
+    og.label = label;
+    for (const it of items) og.appendChild(new Option(it.label, it.value));
+    select.appendChild(og);
+  };
+  select.appendChild(new Option(tr('Año a la fecha'), 'ytd'));
+  group(tr('Meses'), months);
+  group(tr('Quincenas'), fortnights);
+  select.appendChild(new Option(tr('Personalizado'), 'custom'));
+  select.value = months[0].value;
+  applyReportPreset();
+  runReport();
+  $('#reportDialog').showModal();
+}
+
+function applyReportPreset() {
+  const rg = presetRange($('#reportPreset').value);
+  if (!rg) return;
+  $('#reportFrom').value = rg.from;
+  $('#reportTo').value = rg.to;
+}
+
+async function runReport() {
+  const from = $('#reportFrom').value;
+  const to = $('#reportTo').value;
+  if (!from || !to || from > to) {
+    report = null;
+    $('#reportCompare').textContent = tr('Elige un rango de fechas válido.');
+    renderReport();
+    return;
+  }
+  const kind = $('#reportPreset').value.split(':')[0];
+  const prevRg = previousRange(from, to, kind);
+  const [cur, prev] = await Promise.all([summarizeRange(from, to), summarizeRange(prevRg.from, prevRg.to)]);
+  report = { kind, cur, prev };
+  $('#reportCompare').textContent = tr('{range} comparado con {previous}', { range: rangeLabel(from, to), previous: rangeLabel(prevRg.from, prevRg.to) });
+  renderReport();
+}
+
+function renderReport() {
+  const tbody = $('#reportTable tbody');
+  const names = $('#reportNames tbody');
+  tbody.innerHTML = '';
+  names.innerHTML = '';
+  $('#printReportBtn').disabled = $('#downloadReportBtn').disabled = !report;
+  if (!report) return;
+
+  const row = (cells, trend) => {
+    const line = document.createElement('tr');
+    cells.forEach((v, i) => {
+      const td = document.createElement('td');
+      td.textContent = v;
+      if (i === cells.length - 1 && trend) td.className = trend > 0 ? 'positive' : 'negative';
+      line.appendChild(td);
+    });
+    return line;
+  };
+  const value = (key, v) => key === 'count' ? String(v) : fmt(roundMoney(v));
+  for (const { key, label, good } of REPORT_ROWS) {
+    const cur = report.cur[key], prev = report.prev[key];
+    tbody.appendChild(row([tr(label), value(key, cur), value(key, prev), pctChange(cur, prev)], prev ? Math.sign(cur - prev) * good : 0));
+  }
+  const top = topNames(report);
+  if (!top.length) names.appendChild(row([tr('Sin gastos en el periodo'), '', '', '', '']));
+  for (const n of top) names.appendChild(row([n.name, String(n.count), fmt(n.amount), fmt(n.prev), pctChange(n.amount, n.prev)], n.prev ? -Math.sign(n.amount - n.prev) : 0));
+}
+
+function escapeHTML(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Documento autónomo (sin depender de la app ni de la red) para imprimir, guardar como PDF o enviar
+function reportHTML(r) {
+  const { cur, prev } = r;
+  const value = (key, v) => key === 'count' ? String(v) : fmt(roundMoney(v));
+  const rows = REPORT_ROWS.map(({ key, label }) =>
+    `<tr><td>${tr(label)}</td><td>${value(key, cur[key])}</td><td>${value(key, prev[key])}</td><td>${pctChange(cur[key], prev[key])}</td></tr>`).join('');
+  const names = topNames(r).map(n =>
+    `<tr><td>${escapeHTML(n.name)}</td><td>${n.count}</td><td>${fmt(n.amount)}</td><td>${fmt(n.prev)}</td><td>${pctChange(n.amount, n.prev)}</td></tr>`).join('')
+    || `<tr><td colspan="5">${tr('Sin gastos en el periodo')}</td></tr>`;
+  const title = tr('Informe {range}', { range: rangeLabel(cur.from, cur.to) });
+  return `<!doctype html>
+<html lang="${settings.locale}">
+<head>
+<meta charset="utf-8" />
+<title>${title}</title>
+<style>
+  body { font: 14px/1.45 system-ui, sans-serif; color: #111; margin: 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; }
+  p { color: #555; margin: 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+  th { color: #555; font-weight: 500; }
+  td:not(:first-child), th:not(:first-child) { text-align: right; }
+  footer { margin-top: 24px; font-size: 12px; color: #777; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p>${tr('Comparado con {range} · {n} días', { range: rangeLabel(prev.from, prev.to), n: cur.days })}</p>
+<h2>${tr('Resumen')}</h2>
+<table><thead><tr><th>${tr('Concepto')}</th><th>${tr('Periodo')}</th><th>${tr('Anterior')}</th><th>${tr('Variación')}</th></tr></thead><tbody>${rows}</tbody></table>
+<h2>${tr('Principales gastos por nombre')}</h2>
+<table><thead><tr><th>${tr('Nombre')}</th><th>${tr('Veces')}</th><th>${tr('Monto')}</th><th>${tr('Anterior')}</th><th>${tr('Variación')}</th></tr></thead><tbody>${names}</tbody></table>
+<footer>${tr('Control de Gastos por LPaz · generado el {date}', { date: new Date().toLocaleString(settings.locale) })}</footer>
+</body>
+</html>
+`;
+}
+
+function printReport() {
+  if (!report) return;
+  const frame = document.createElement('iframe');
+  frame.className = 'print-frame';
+  frame.setAttribute('aria-hidden', 'true');
+  frame.srcdoc = reportHTML(report);
+  frame.onload = () => {
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 60000);
+  };
+  document.body.appendChild(frame);
+}
+
+function downloadReport() {
+  if (!report) return;
+  downloadBlob(new Blob([reportHTML(report)], { type: 'text/html;charset=utf-8' }), `informe-${report.cur.from}_${report.cur.to}.html`);
+}
+
+// ---------- IVA (facturas y resumen F29) ----------
+// Solo las facturas separan neto e IVA: las boletas (incluidas las de honorarios) no dan
+// crédito fiscal. Facturas de gasto → IVA crédito; facturas de ingreso → IVA débito.
+const IVA_RATE = 0.19;
+const DOC_TYPES = { boleta: 'Boleta', factura: 'Factura' };
+
+let ivaSummary = null; // último mes calculado, para exportar
+
+const dteDocType = (type) => [33, 34, 46, 56, 61].includes(type) ? 'factura' : [39, 41].includes(type) ? 'boleta' : '';
+
+// Si la factura viene de un DTE y el total no cambió, se usan sus montos (considera lo exento).
+// `total` es el monto del documento cuando no coincide con el de la transacción (compra en cuotas).
+function applyDocType(tx, docType, total = tx.amount) {
+  delete tx.net; delete tx.iva; delete tx.exempt;
+  tx.docType = docType || null;
+  if (docType !== 'factura') return;
+  if (tx.dte && tx.dte.total === total) {
+    Object.assign(tx, { net: tx.dte.net, iva: tx.dte.iva, exempt: tx.dte.exempt });
+    return;
+  }
+  tx.net = roundMoney(total / (1 + IVA_RATE));
+  tx.iva = roundMoney(total - tx.net);
+}
+
+function updateIvaHint() {
+  const hint = $('#ivaHint');
+  const amount = Number($('#amount').value);
+  if ($('#docType').value !== 'factura' || !amount) { hint.textContent = ''; return; }
+  if ($('#currency').value !== settings.currency) { hint.textContent = tr('Neto e IVA se calculan en {currency} al guardar', { currency: settings.currency }); return; }
+  const d = dteImport && dteImport.total === amount ? dteImport : null;
+  const net = d ? d.net : roundMoney(amount / (1 + IVA_RATE));
+  hint.textContent = tr('Neto {net} · IVA {iva}', { net: fmt(net), iva: fmt(d ? d.iva : amount - net) });
+}
+
+function openIvaDialog() {
+  const select = $('#ivaMonth');
+  select.innerHTML = '';
+  const now = new Date();
+  for (let i = 0; i < 12; i++) {
+    const m = new Date(now.getFullYear(), now.getMonth() - i, 1);
+    select.appendChild(new Option(m.toLocaleDateString(settings.locale, { month: 'long', year: 'numeric' }), isoDate(m)));
+  }
+  // El F29 se declara el mes siguiente: por defecto el mes anterior
+  select.selectedIndex = 1;
+  runIvaSummary();
+  $('#ivaDialog').showModal();
+}
+
+async function runIvaSummary() {
+  const rg = monthRange(parseDate($('#ivaMonth').value));
+  const from = isoDate(rg.start), to = isoDate(rg.end);
+  const txs = (await dbp.getAllByIndex('transactions', 'by_date', IDBKeyRange.bound(from, to)))
+    .filter(t => t.docType)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+  const s = {
+    from, to, txs,
+    purchases: { count: 0, net: 0, exempt: 0, iva: 0 },
+    sales: { count: 0, net: 0, exempt: 0, iva: 0 },
+    boletas: { count: 0, total: 0 },
+  };
+  for (const t of txs) {
+    if (t.docType === 'boleta') {
+      if (t.type === 'expense') { s.boletas.count++; s.boletas.total += t.amount; }
+      continue;
+    }
+    // Una nota de crédito de un proveedor se registra como ingreso, pero rebaja el crédito
+    const creditNote = t.dte?.type === 61;
+    const side = t.type === 'expense' || creditNote ? s.purchases : s.sales;
+    const sign = creditNote ? -1 : 1;
+    side.count++;
+    side.net += sign * (t.net || 0);
+    side.exempt += sign * (t.exempt || 0);
+    side.iva += sign * (t.iva || 0);
+  }
+  s.balance = s.sales.iva - s.purchases.iva;
+  ivaSummary = s;
+  renderIvaSummary();
+}
+
+function renderIvaSummary() {
+  const s = ivaSummary;
+  const ul = $('#ivaInfo');
+  ul.innerHTML = '';
+  addInfo(ul, tr('Compras con factura ({n})', { n: s.purchases.count }), tr('Neto {amount}', { amount: fmt(s.purchases.net) }));
+  addInfo(ul, tr('IVA crédito fiscal'), fmt(s.purchases.iva));
+  addInfo(ul, tr('Ventas con factura ({n})', { n: s.sales.count }), tr('Neto {amount}', { amount: fmt(s.sales.net) }));
+  addInfo(ul, tr('IVA débito fiscal'), fmt(s.sales.iva));
+  addInfo(ul, tr('Compras con boleta ({n})', { n: s.boletas.count }), tr('{amount} sin crédito', { amount: fmt(s.boletas.total) }));
+  addInfo(ul, tr(s.balance >= 0 ? 'IVA a pagar' : 'Remanente de crédito'), fmt(Math.abs(s.balance)));
+  $('#exportIvaBtn').disabled = !s.txs.length;
+}
+
+function exportIvaMonth() {
+  const s = ivaSummary;
+  if (!s) return;
+  const num = (v) => String(v ?? 0);
+  const rows = [['Fecha', 'Libro', 'Documento', 'Folio', 'RUT', 'Nombre', 'Neto', 'Exento', 'IVA', 'Total']];
+  for (const t of s.txs) {
+    rows.push([
+      formatDateCL(t.date),
+      t.type === 'expense' || t.dte?.type === 61 ? 'Compras' : 'Ventas',
+      t.dte?.typeName || DOC_TYPES[t.docType],
+      t.dte?.folio || '',
+      t.dte?.issuerRut || '',
+      t.name,
+      num(t.net), num(t.exempt), num(t.iva), num(t.amount),
+    ]);
+  }
+  rows.push([]);
+  rows.push(['Resumen']);
+  rows.push(['IVA crédito fiscal', '', '', '', '', '', num(s.purchases.net), num(s.purchases.exempt), num(s.purchases.iva)]);
+  rows.push(['IVA débito fiscal', '', '', '', '', '', num(s.sales.net), num(s.sales.exempt), num(s.sales.iva)]);
+  rows.push([s.balance >= 0 ? 'IVA a pagar' : 'Remanente de crédito', '', '', '', '', '', '', '', num(Math.abs(s.balance))]);
+  downloadBlob(new Blob([toCSV(rows)], { type: 'text/csv;charset=utf-8' }), `iva-${s.from.slice(0, 7)}.csv`);
+}
+
+// ---------- Categorías ----------
+function categoryById(id) {
+  return id == null ? null : state.categories.find(c => c.id === id) || null;
+}
+
+function fillCategorySelects() {
+  const empty = { budgetCategory: 'General (todos los gastos)', filterCategory: 'Todas las categorías' };
+  for (const sel of [$('#category'), $('#editCategory'), $('#budgetCategory'), $('#bankRuleCategory'), $('#filterCategory')]) {
+    const current = sel.value;
+    sel.innerHTML = `<option value="">${tr(empty[sel.id] || 'Sin categoría')}</option>`;
+    for (const c of state.categories) {
+      const opt = document.createElement('option');
+      opt.value = c.id;
+      opt.textContent = `${c.icon} ${c.name}`;
+      sel.appendChild(opt);
+    }
+    sel.value = current;
+  }
+}
+
+// Participación de cada categoría en el gasto del periodo elegido (mismos rangos que las estadísticas)
+function renderCategoryBreakdown() {
+  const rg = ranges()[state.categoryPeriod];
+  const totals = new Map();
+  let sum = 0;
+  for (const [date, d] of state.viewDaily || state.daily) {
+    if (!within(date, rg.start, rg.end)) continue;
+    for (const [k, amount] of d.cats) {
+      totals.set(k, (totals.get(k) || 0) + amount);
+      sum += amount;
+    }
+  }
+
+  const ul = $('#categoryBreakdown');
+  ul.innerHTML = '';
+  if (!sum) {
+    ul.innerHTML = `<li class="muted">${tr('Sin gastos en este periodo.')}</li>`;
+    return;
+  }
+  const rows = Array.from(totals.entries()).sort((a, b) => b[1] - a[1]);
+  for (const [id, amount] of rows) {
+    const cat = categoryById(id) || { name: tr('Sin categoría'), icon: '·', color: '#90a3b4' };
+    const pct = Math.round((amount / sum) * 100);
+    const li = document.createElement('li');
+    const head = document.createElement('div');
+    head.className = 'cat-head';
+    const k = document.createElement('span'); k.className = 'k'; k.textContent = `${cat.icon} ${cat.name}`;
+    const v = document.createElement('span'); v.textContent = `${fmt(amount)} · ${pct}%`;
+    head.append(k, v);
+    const bar = document.createElement('div');
+    bar.className = 'cat-bar';
+    const fill = document.createElement('div');
+    fill.style.width = pct + '%';
+    fill.style.background = cat.color;
+    bar.appendChild(fill);
+    li.append(head, bar);
+    ul.appendChild(li);
+  }
+}
+
+function openCategoryDialog() {
+  renderCategoryList();
+  $('#categoryName').value = '';
+  $('#categoryIcon').value = '';
+  $('#categoryDialog').showModal();
+}
+
+function renderCategoryList() {
+  const ul = $('#categoryList');
+  ul.innerHTML = '';
+  for (const c of state.categories) {
+    const li = document.createElement('li');
+    const k = document.createElement('span');
+    k.innerHTML = '<i class="swatch"></i>';
+    k.firstChild.style.background = c.color;
+    k.append(` ${c.icon} ${c.name}`);
+    li.appendChild(k);
+    if (!c.builtin) {
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'icon-btn';
+      del.title = tr('Eliminar');
+      del.setAttribute('aria-label', tr('Eliminar {name}', { name: c.name }));
+      del.textContent = '✕';
+      del.addEventListener('click', () => deleteCategory(c.id));
+      li.appendChild(del);
+    }
+    ul.appendChild(li);
+  }
+}
+
+async function addCategory(ev) {
+  ev.preventDefault();
+  const name = $('#categoryName').value.trim();
+  if (!name) return;
+  if (state.categories.some(c => c.name.toLowerCase() === name.toLowerCase())) return;
+  const cat = { name, icon: $('#categoryIcon').value.trim() || '🏷️', color: $('#categoryColor').value, builtin: false, created: Date.now() };
+  cat.id = await dbp.add('categories', cat);
+  state.categories.push(cat);
+  state.categories.sort((a, b) => a.name.localeCompare(b.name, settings.locale));
+  fillCategorySelects();
+  renderCategoryList();
+  $('#categoryName').value = '';
+  $('#categoryIcon').value = '';
+}
+
+async function deleteCategory(id) {
+  const used = await dbp.getAllByIndex('transactions', 'by_category', IDBKeyRange.only(id));
+  // Las reglas y compras generan o importan transacciones, y la papelera puede restaurarlas
+  const others = [];
+  for (const store of ['recurring', 'purchases', 'bankRules', 'trash']) {
+    for (const r of await dbp.getAll(store)) if (r.categoryId === id) others.push([store, r]);
+  }
+  const n = used.length + others.length;
+  if (n && !confirm(tr('{n} transacciones, reglas o compras quedarán sin categoría. ¿Continuar?', { n }))) return;
+  for (const t of used) {
+    const prev = { ...t };
+    t.categoryId = null;
+    await dbp.put('transactions', t);
+    await logChange('update', prev, t, 'category');
+  }
+  for (const [store, r] of others) {
+    r.categoryId = null;
+    await dbp.put(store, r);
+  }
+  for (const r of state.bankRules) if (r.categoryId === id) r.categoryId = null;
+  for (const b of state.budgets.filter(b => b.categoryId === id)) await dbp.delete('budgets', b.id);
+  state.budgets = state.budgets.filter(b => b.categoryId !== id);
+  await dbp.delete('categories', id);
+  state.categories = state.categories.filter(c => c.id !== id);
+  fillCategorySelects();
+  renderCategoryList();
+  await loadAll();
+}
+
+// ---------- Cuentas y transferencias ----------
+const ACCOUNT_KINDS = {
+  cash: { label: 'Efectivo', icon: '💵' },
+  checking: { label: 'Cuenta corriente', icon: '🏦' },
+  savings: { label: 'Cuenta de ahorro', icon: '🐷' },
+  credit: { label: 'Tarjeta de crédito', icon: '💳' },
+};
+const TYPE_LABELS = { expense: 'Gasto', income: 'Ingreso', transfer: 'Transferencia' };
+const TRANSFER_FIELDS = {
+  add: { type: '#type', account: '#account', to: '#toAccount', row: '#toAccountRow', category: '#category' },
+  edit: { type: '#editType', account: '#editAccount', to: '#editToAccount', row: '#editToAccountRow', category: '#editCategory' },
+};
+
+let reconcileId = null; // cuenta abierta en el diálogo de conciliación
+let reconcileBase = 0;  // saldo según la app a la fecha elegida
+
+const accountById = (id) => state.accounts.find(a => a.id === id) || null;
+const accountOf = (t) => t.accountId ?? state.accounts[0]?.id;
+const accountBalance = (a) => a.opening + (state.balances.get(a.id) || 0);
+
+async function seedAccounts() {
+  for (const acc of DEFAULT_ACCOUNTS) await dbp.add('accounts', { ...acc, opening: 0, uid: seedUid('accounts', acc), created: Date.now() });
+  return dbp.getAll('accounts');
+}
+
+// Las transferencias restan en la cuenta de origen y suman en la de destino: no son ingreso ni gasto
+function addToBalances(balances, t, sign) {
+  if (t.split?.paidBy != null) return; // lo pagó otra persona: no sale de tus cuentas
+  const move = (id, v) => balances.set(id, (balances.get(id) || 0) + sign * v);
+  if (t.type === 'income') move(accountOf(t), t.amount);
+  if (t.type === 'expense') move(accountOf(t), -t.amount);
+  if (t.type === 'transfer') {
+    move(accountOf(t), -t.amount);
+    move(t.toAccountId, t.amount);
+  }
+}
+
+function accountLabel(t, icons = true) {
+  const name = (id) => {
+    const a = accountById(id);
+    return a ? (icons ? `${ACCOUNT_KINDS[a.kind].icon} ${a.name}` : a.name) : '—';
+  };
+  return t.type === 'transfer' ? `${name(accountOf(t))} → ${name(t.toAccountId)}` : name(accountOf(t));
+}
+
+function fillAccountSelects() {
+  for (const sel of [$('#account'), $('#toAccount'), $('#editAccount'), $('#editToAccount'), $('#bankAccount'), $('#settleAccount'), $('#filterAccount')]) {
+    const current = sel.value;
+    sel.innerHTML = sel.id === 'filterAccount' ? `<option value="">${tr('Todas las cuentas')}</option>` : '';
+    for (const a of state.accounts) sel.appendChild(new Option(`${ACCOUNT_KINDS[a.kind].icon} ${a.name}`, a.id));
+    sel.value = current;
+    if (sel.selectedIndex < 0) sel.selectedIndex = 0;
+  }
+}
+
+function syncTransferFields(f) {
+  const transfer = $(f.type).value === 'transfer';
+  $(f.row).classList.toggle('hidden', !transfer);
+  $(f.category).disabled = transfer;
+  if (f === TRANSFER_FIELDS.add) syncInstallmentFields();
+}
+
+// { accountId, toAccountId? } del formulario, o null si la transferencia no es válida
+function readAccounts(f) {
+  const accountId = Number($(f.account).value) || accountOf({});
+  if ($(f.type).value !== 'transfer') return { accountId };
+  const toAccountId = Number($(f.to).value);
+  if (!toAccountId || toAccountId === accountId) {
+    showAlert(tr('Elige una cuenta de destino distinta a la de origen.'));
+    return null;
+  }
+  return { accountId, toAccountId };
+}
+
+function renderAccounts() {
+  const ul = $('#accountList');
+  ul.innerHTML = '';
+  for (const a of state.accounts) {
+    const balance = accountBalance(a);
+    const li = document.createElement('li');
+    li.dataset.id = a.id;
+    const k = document.createElement('button');
+    k.type = 'button';
+    k.className = 'link account-name';
+    k.title = tr('Ver transacciones de la cuenta');
+    k.textContent = `${ACCOUNT_KINDS[a.kind].icon} ${a.name}`;
+    const v = document.createElement('span');
+    v.className = 'v ' + (balance < 0 ? 'negative' : '');
+    v.textContent = fmt(balance);
+    if (a.reconciled) v.title = tr('Conciliada al {date}', { date: formatDate(a.reconciled.date) });
+    const right = document.createElement('span');
+    right.className = 'right';
+    right.append(v, iconButton('⚖', tr('Conciliar'), () => openReconcileDialog(a.id)));
+    li.append(k, right);
+    ul.appendChild(li);
+  }
+}
+
+function onAccountListClick(ev) {
+  const li = ev.target.closest('li');
+  if (li && ev.target.closest('.account-name')) setFilter({ ...state.filter, accountId: Number(li.dataset.id) });
+}
+
+function openAccountDialog() {
+  renderAccountManager();
+  $('#accountName').value = '';
+  $('#accountOpening').value = '';
+  $('#accountDialog').showModal();
+}
+
+function renderAccountManager() {
+  const ul = $('#accountManageList');
+  ul.innerHTML = '';
+  for (const a of state.accounts) {
+    const li = document.createElement('li');
+    const k = document.createElement('span');
+    k.textContent = `${ACCOUNT_KINDS[a.kind].icon} ${a.name} · ${tr(ACCOUNT_KINDS[a.kind].label)}`;
+    const right = document.createElement('span');
+    right.className = 'right';
+    const v = document.createElement('span');
+    v.className = 'muted';
+    v.textContent = tr('Inicial {amount}', { amount: fmt(a.opening) });
+    right.append(v, iconButton('✕', tr('Eliminar {name}', { name: a.name }), () => deleteAccount(a.id)));
+    li.append(k, right);
+    ul.appendChild(li);
+  }
+}
+
+async function addAccount(ev) {
+  ev.preventDefault();
+  const name = $('#accountName').value.trim();
+  if (!name) return;
+  if (state.accounts.some(a => a.name.toLowerCase() === name.toLowerCase())) return;
+  const acc = { name, kind: $('#accountKind').value, opening: roundMoney(parseLocaleAmount($('#accountOpening').value) ?? 0), created: Date.now() };
+  // En una tarjeta el saldo inicial es lo que se debe
+  if (acc.kind === 'credit') acc.opening = -Math.abs(acc.opening);
+  acc.id = await dbp.add('accounts', acc);
+  state.accounts.push(acc);
+  fillAccountSelects();
+  renderAccountManager();
+  computeAndRender();
+  $('#accountName').value = '';
+  $('#accountOpening').value = '';
+}
+
+async function deleteAccount(id) {
+  if (state.accounts.length === 1) return showAlert(tr('Debe quedar al menos una cuenta.'));
+  // Como en deletePerson: reglas, cuotas y papelera también generan o restauran transacciones
+  const uses = (r) => accountOf(r) === id || r.toAccountId === id;
+  let used = 0;
+  await dbp.each('transactions', (t) => { if (uses(t)) used++; });
+  for (const store of ['recurring', 'purchases', 'trash']) used += (await dbp.getAll(store)).filter(uses).length;
+  if (used) return showAlert(tr('La cuenta tiene {n} movimientos, reglas o compras: muévelos a otra cuenta antes de eliminarla.', { n: used }));
+  await dbp.delete('accounts', id);
+  state.accounts = state.accounts.filter(a => a.id !== id);
+  fillAccountSelects();
+  renderAccountManager();
+  computeAndRender();
+}
+
+// Saldo de la cuenta al cierre de `date` (saldo inicial + movimientos hasta esa fecha)
+async function balanceAt(accountId, date) {
+  const balances = new Map();
+  await dbp.each('transactions', (t) => { if (t.date <= date) addToBalances(balances, t, 1); });
+  return accountById(accountId).opening + (balances.get(accountId) || 0);
+}
+
+function openReconcileDialog(id) {
+  const a = accountById(id);
+  reconcileId = id;
+  $('#reconcileTitle').textContent = tr('Conciliar {name}', { name: a.name });
+  // En tarjetas se ingresa la deuda informada por el banco (positiva)
+  $('#reconcileLabel').textContent = tr(a.kind === 'credit' ? 'Deuda según el banco' : 'Saldo según el banco');
+  $('#reconcileDate').value = todayStr();
+  $('#reconcileBalance').value = '';
+  $('#reconcileDialog').showModal();
+  loadReconcileBalance();
+}
+
+async function loadReconcileBalance() {
+  const a = accountById(reconcileId);
+  reconcileBase = await balanceAt(reconcileId, $('#reconcileDate').value || todayStr());
+  $('#reconcileApp').textContent = fmt(a.kind === 'credit' ? -reconcileBase : reconcileBase);
+  updateReconcileDiff();
+}
+
+function reconcileDiff() {
+  const real = parseLocaleAmount($('#reconcileBalance').value);
+  if (real == null) return null;
+  return (accountById(reconcileId).kind === 'credit' ? -real : real) - reconcileBase;
+}
+
+function updateReconcileDiff() {
+  const diff = reconcileDiff();
+  const out = $('#reconcileDiff');
+  out.className = 'value ' + (diff ? 'negative' : 'positive');
+  out.textContent = diff == null ? '—' : diff === 0 ? tr('Cuadra ✓') : fmt(diff);
+  $('#reconcileAdjustBtn').disabled = !diff;
+}
+
+// Guarda la conciliación; con `adjust` la diferencia se absorbe en el saldo inicial de la cuenta
+async function saveReconcile(ev, adjust) {
+  ev.preventDefault();
+  const diff = reconcileDiff();
+  if (diff == null) return;
+  const a = accountById(reconcileId);
+  if (adjust) a.opening += diff;
+  a.reconciled = { date: $('#reconcileDate').value || todayStr(), balance: reconcileBase + diff, difference: adjust ? 0 : diff };
+  await dbp.put('accounts', a);
+  $('#reconcileDialog').close();
+  computeAndRender();
+}
+
+// ---------- Gastos compartidos ----------
+// Un gasto compartido guarda `split`: { paidBy: personId|null (null = tú), mode, shares: [{ personId, value,
+// amount }] }, donde `value` es lo ingresado (porcentaje o monto) y `amount` la parte en moneda base. Las
+// liquidaciones son gastos (le pagas) o ingresos (te paga) con `settle: { personId }`.
+const SPLIT_MODES = { equal: 'En partes iguales', percent: 'Por porcentaje', exact: 'Montos exactos' };
+const SPLIT_FIELDS = {
+  add: { type: '#type', amount: '#amount', currency: '#currency', toggleRow: '#sharedRow', toggle: '#shared', row: '#splitRow', paidBy: '#paidBy', mode: '#splitMode', people: '#splitPeople', hint: '#splitHint' },
+  edit: { type: '#editType', amount: '#editAmount', currency: '#editCurrency', toggleRow: '#editSharedRow', toggle: '#editShared', row: '#editSplitRow', paidBy: '#editPaidBy', mode: '#editSplitMode', people: '#editSplitPeople', hint: '#editSplitHint' },
+};
+
+const personName = (id) => id == null ? tr('Tú') : state.people.find(p => p.id === id)?.name ?? '—';
+
+// Lo que corresponde al usuario: su parte de un gasto compartido; nada en las liquidaciones
+function ownShare(t) {
+  if (t.settle) return 0;
+  if (!t.split) return t.amount;
+  return t.split.shares.find(s => s.personId == null)?.amount ?? 0;
+}
+
+function addToDebts(debts, t, sign) {
+  const move = (id, v) => debts.set(id, (debts.get(id) || 0) + sign * v);
+  if (t.settle) move(t.settle.personId, t.type === 'expense' ? t.amount : -t.amount);
+  if (!t.split) return;
+  if (t.split.paidBy == null) {
+    for (const s of t.split.shares) if (s.personId != null) move(s.personId, s.amount);
+  } else {
+    move(t.split.paidBy, -ownShare(t));
+  }
+}
+
+// parts: [{ personId, value }] → { shares } o { error }. El redondeo queda en la primera parte.
+function computeShares(total, mode, parts) {
+  if (!parts.length) return { error: tr('Elige al menos a una persona.') };
+  let amounts;
+  if (mode === 'equal') {
+    // se reparte en la unidad mínima de la moneda (pesos, centavos)
+    const unit = 10 ** moneyDigits;
+    const cents = Math.round(total * unit);
+    const base = Math.floor(cents / parts.length);
+    amounts = parts.map((p, i) => (base + (i < cents - base * parts.length ? 1 : 0)) / unit);
+  } else if (mode === 'percent') {
+    const sum = parts.reduce((s, p) => s + p.value, 0);
+    if (Math.abs(sum - 100) > 0.01) return { error: tr('Los porcentajes suman {sum} %, deben sumar 100 %.', { sum: sum.toLocaleString(settings.locale) }) };
+    amounts = parts.map(p => roundMoney(total * p.value / 100));
+    amounts[0] = roundMoney(amounts[0] + total - amounts.reduce((s, v) => s + v, 0));
+  } else {
+    amounts = parts.map(p => roundMoney(p.value));
+    const sum = roundMoney(amounts.reduce((s, v) => s + v, 0));
+    if (sum !== total) return { error: tr('Los montos suman {sum} de {total}.', { sum: fmt(sum), total: fmt(total) }) };
+  }
+  return { shares: parts.map((p, i) => ({ personId: p.personId, value: p.value, amount: amounts[i] })) };
+}
+
+// Reparte otro total con la misma división (cuotas, recurrentes en UF); los montos exactos se escalan
+function resplit(split, total) {
+  if (split.mode !== 'exact') return { ...split, shares: computeShares(total, split.mode, split.shares).shares };
+  const old = split.shares.reduce((s, x) => s + x.amount, 0) || 1;
+  const { shares } = computeShares(total, 'percent', split.shares.map(s => ({ personId: s.personId, value: s.amount * 100 / old })));
+  return { ...split, shares: shares.map(s => ({ ...s, value: s.amount })) };
+}
+
+function describeSplit(t) {
+  const who = t.split.paidBy == null ? tr('compartido') : tr('pagó {name}', { name: personName(t.split.paidBy) });
+  return tr('{who} · tu parte {amount}', { who, amount: fmt(ownShare(t)) });
+}
+
+function fillPeopleSelects() {
+  for (const sel of [$('#paidBy'), $('#editPaidBy'), $('#settlePerson')]) {
+    const current = sel.value;
+    sel.innerHTML = sel.id === 'settlePerson' ? '' : `<option value="">${tr('Tú')}</option>`;
+    for (const p of state.people) sel.appendChild(new Option(p.name, p.id));
+    sel.value = current;
+    if (sel.selectedIndex < 0) sel.selectedIndex = 0;
+  }
+}
+
+// Una fila por participante (tú primero); sin división previa quedan todos marcados
+function renderSplitPeople(f, split = null) {
+  const ul = $(f.people);
+  ul.innerHTML = '';
+  const shares = new Map((split?.shares || []).map(s => [s.personId ?? '', s]));
+  for (const p of [{ id: '', name: tr('Tú') }, ...state.people]) {
+    const s = shares.get(p.id);
+    const li = document.createElement('li');
+    li.dataset.person = p.id;
+    li.innerHTML = '<label class="check"><input type="checkbox" /> <span></span></label><input type="number" class="split-value" min="0" step="any" />';
+    li.querySelector('span').textContent = p.name;
+    li.querySelector('input[type="checkbox"]').checked = split ? !!s : true;
+    li.querySelector('.split-value').value = s && split.mode !== 'equal' ? s.value : '';
+    ul.appendChild(li);
+  }
+}
+
+function bindSplitFields(f) {
+  for (const id of [f.type, f.toggle, f.mode]) $(id).addEventListener('change', () => syncSplitFields(f));
+  for (const id of [f.amount, f.currency, f.people]) $(id).addEventListener('input', () => updateSplitHint(f));
+  $(f.people).addEventListener('change', () => updateSplitHint(f));
+}
+
+function syncSplitFields(f) {
+  const available = $(f.type).value === 'expense' && state.people.length > 0 && !$(f.toggle).disabled;
+  $(f.toggleRow).classList.toggle('hidden', !available);
+  $(f.row).classList.toggle('hidden', !(available && $(f.toggle).checked));
+  $(f.people).classList.toggle('equal', $(f.mode).value === 'equal');
+  $(f.people).querySelectorAll('.split-value').forEach(i => {
+    i.placeholder = $(f.mode).value === 'percent' ? '%' : tr('Monto');
+  });
+  updateSplitHint(f);
+}
+
+function readSplitParts(f) {
+  return Array.from($(f.people).children)
+    .filter(li => li.querySelector('input[type="checkbox"]').checked)
+    .map(li => ({ personId: li.dataset.person ? Number(li.dataset.person) : null, value: parseDecimal(li.querySelector('.split-value')) }));
+}
+
+// Los montos exactos van en moneda base: con otra moneda solo se valida al guardar
+function updateSplitHint(f) {
+  const total = parseAmount($(f.amount));
+  if ($(f.row).classList.contains('hidden') || !total || $(f.currency).value !== settings.currency) {
+    $(f.hint).textContent = '';
+    return;
+  }
+  const r = computeShares(total, $(f.mode).value, readSplitParts(f));
+  $(f.hint).textContent = r.error || r.shares.map(s => `${personName(s.personId)}: ${fmt(s.amount)}`).join(' · ');
+}
+
+// undefined si no es compartido; null si la división no es válida (ya avisado)
+function readSplit(f, total) {
+  if ($(f.row).classList.contains('hidden')) return undefined;
+  const paidBy = $(f.paidBy).value ? Number($(f.paidBy).value) : null;
+  const parts = readSplitParts(f);
+  const r = computeShares(total, $(f.mode).value, parts);
+  if (r.error) {
+    showAlert(r.error);
+    return null;
+  }
+  // Pagado por ti y sin nadie más: no hay nada que repartir
+  if (paidBy == null && parts.every(p => p.personId == null)) return undefined;
+  return { paidBy, mode: $(f.mode).value, shares: r.shares };
+}
+
+function renderPeople() {
+  const ul = $('#peopleList');
+  ul.innerHTML = '';
+  $('#peopleEmpty').style.display = state.people.length ? 'none' : '';
+  $('#settleBtn').disabled = !state.people.length;
+  for (const p of state.people) {
+    const balance = roundMoney(state.debts.get(p.id) || 0);
+    const li = document.createElement('li');
+    const k = document.createElement('span');
+    k.textContent = p.name;
+    const v = document.createElement('span');
+    v.className = 'v ' + (balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'muted');
+    v.textContent = balance > 0 ? tr('Te debe {amount}', { amount: fmt(balance) }) : balance < 0 ? tr('Le debes {amount}', { amount: fmt(-balance) }) : tr('Al día');
+    const right = document.createElement('span');
+    right.className = 'right';
+    right.append(v);
+    if (balance) right.append(iconButton('✓', tr('Saldar con {name}', { name: p.name }), () => openSettleDialog(p.id)));
+    li.append(k, right);
+    ul.appendChild(li);
+  }
+}
+
+function openPeopleDialog() {
+  renderPeopleManager();
+  $('#personName').value = '';
+  $('#peopleDialog').showModal();
+}
+
+function renderPeopleManager() {
+  const ul = $('#peopleManageList');
+  ul.innerHTML = '';
+  for (const p of state.people) {
+    const li = document.createElement('li');
+    const k = document.createElement('span');
+    k.textContent = p.name;
+    li.append(k, iconButton('✕', tr('Eliminar {name}', { name: p.name }), () => deletePerson(p.id)));
+    ul.appendChild(li);
+  }
+}
+
+async function addPerson(ev) {
+  ev.preventDefault();
+  const name = $('#personName').value.trim();
+  if (!name) return;
+  if (state.people.some(p => p.name.toLowerCase() === name.toLowerCase())) return showAlert(tr('Ya existe "{name}".', { name }));
+  const person = { name, created: Date.now() };
+  person.id = await dbp.add('people', person);
+  state.people.push(person);
+  state.people.sort((a, b) => a.name.localeCompare(b.name, settings.locale));
+  $('#personName').value = '';
+  afterPeopleChange();
+}
+
+// Las reglas recurrentes y compras en cuotas generan transacciones con su división, y lo que
+// está en la papelera puede restaurarse: todas deben seguir encontrando a la persona.
+async function deletePerson(id) {
+  const uses = (r) => r.settle?.personId === id || r.split?.paidBy === id || r.split?.shares.some(s => s.personId === id);
+  let used = 0;
+  await dbp.each('transactions', (t) => { if (uses(t)) used++; });
+  for (const store of ['recurring', 'purchases', 'trash']) used += (await dbp.getAll(store)).filter(uses).length;
+  if (used) return showAlert(tr('{name} aparece en {n} movimientos, reglas o compras: no se puede eliminar.', { name: personName(id), n: used }));
+  await dbp.delete('people', id);
+  state.people = state.people.filter(p => p.id !== id);
+  afterPeopleChange();
+}
+
+function afterPeopleChange() {
+  fillPeopleSelects();
+  renderPeopleManager();
+  renderPeople();
+  for (const f of Object.values(SPLIT_FIELDS)) {
+    renderSplitPeople(f);
+    syncSplitFields(f);
+  }
+}
+
+function openSettleDialog(personId = state.people[0]?.id) {
+  const balance = roundMoney(state.debts.get(personId) || 0);
+  $('#settlePerson').value = personId;
+  $('#settleDirection').value = balance > 0 ? 'in' : 'out';
+  $('#settleAmount').value = Math.abs(balance) || '';
+  $('#settleDate').value = todayStr();
+  $('#settleDialog').showModal();
+}
+
+async function saveSettle(ev) {
+  ev.preventDefault();
+  const personId = Number($('#settlePerson').value);
+  const amount = parseAmount($('#settleAmount'));
+  if (!personId || amount <= 0) return;
+  const out = $('#settleDirection').value === 'out';
+  const t = {
+    type: out ? 'expense' : 'income', name: tr(out ? 'Pago a {name}' : 'Pago de {name}', { name: personName(personId) }), amount,
+    date: $('#settleDate').value || todayStr(), categoryId: null, tags: [], accountId: Number($('#settleAccount').value),
+    attachments: [], settle: { personId }, created: Date.now(),
+  };
+  t.id = await dbp.add('transactions', t);
+  await logChange('create', null, t);
+  $('#settleDialog').close();
+  patchTx(null, t);
+  offerUndo(tr('"{name}" registrado.', { name: t.name }), () => deleteTx(t.id, { undo: false }));
+}
+
+// ---------- Proyección de saldo ----------
+// Proyecta el saldo (suma de las cuentas) al cierre de la quincena en curso y de la siguiente (una
+// de las dos es fin de mes) con lo que se sabe que viene —recurrentes, cuotas y movimientos fijos
+// detectados por nombre— más el gasto variable promedio por día.
+const FORECAST_FIXED_MONTHS = 3; // un nombre es fijo si aparece una vez en cada uno de estos meses
+const FORECAST_VARIABLE_DAYS = 90;
+
+const FORECAST_DELAY = 400;
+
+let forecastSeq = 0; // descarta cálculos anteriores que terminen después del último
+let forecastTimer = null;
+
+// Efecto de una transacción en la suma de las cuentas: las transferencias entre cuentas dan 0
+function cashFlow(t) {
+  const m = new Map();
+  addToBalances(m, t, 1);
+  let sum = 0;
+  for (const v of m.values()) sum += v;
+  return sum;
+}
+
+const isKnownFlow = (t) => t.recurringId || t.purchaseId || t.settle || t.type === 'transfer';
+const nameKey = (name) => name.trim().toLowerCase();
+
+// Sueldo, arriendo, cuentas: una vez por mes con el mismo nombre, sin ser una regla recurrente
+function detectFixed(txs, today) {
+  const months = [];
+  for (let i = FORECAST_FIXED_MONTHS; i >= 1; i--) months.push(isoDate(new Date(today.getFullYear(), today.getMonth() - i, 1)).slice(0, 7));
+  const current = isoDate(today).slice(0, 7);
+  const groups = new Map();
+  for (const t of txs) {
+    if (isKnownFlow(t)) continue;
+    const k = nameKey(t.name);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(t);
+  }
+  const fixed = [];
+  for (const list of groups.values()) {
+    const byMonth = months.map(m => list.filter(t => t.date.startsWith(m)));
+    if (byMonth.some(ts => ts.length !== 1)) continue;
+    const last = byMonth[byMonth.length - 1][0];
+    fixed.push({
+      name: last.name,
+      key: nameKey(last.name),
+      day: Number(last.date.slice(8)),
+      amount: roundMoney(byMonth.reduce((s, [t]) => s + cashFlow(t), 0) / months.length),
+      seen: list.some(t => t.date.startsWith(current)),
+    });
+  }
+  return fixed;
+}
+
+async function computeForecast(today = startOfDay(new Date())) {
+  const first = fortnightRange(today).end;
+  const second = fortnightRange(addDays(first, 1)).end;
+  const monthEnd = monthRange(today).end;
+  const todayISO = isoDate(today);
+  const horizon = isoDate(second);
+
+  const fixedFrom = new Date(today.getFullYear(), today.getMonth() - FORECAST_FIXED_MONTHS, 1);
+  const from = isoDate(new Date(Math.min(fixedFrom, addDays(today, -FORECAST_VARIABLE_DAYS))));
+  const txs = await dbp.getAllByIndex('transactions', 'by_date', IDBKeyRange.bound(from, todayISO));
+  const fixed = detectFixed(txs, today);
+
+  // Lo conocido por venir, desde mañana hasta el horizonte (sin lo que no mueve el saldo)
+  const events = [];
+  const expect = (e) => { if (e.amount) events.push(e); };
+  const tomorrow = addDays(today, 1);
+  for (const f of fixed) {
+    for (const m of [today, addDays(monthEnd, 1)]) {
+      const d = new Date(m.getFullYear(), m.getMonth(), Math.min(f.day, lastDayOfMonth(m)));
+      const sameMonth = m === today;
+      if (sameMonth && f.seen) continue;
+      // Si ya pasó su día y no ha llegado, se espera para mañana
+      const date = sameMonth && d <= today ? tomorrow : d;
+      if (isoDate(date) <= horizon) expect({ date: isoDate(date), name: f.name, amount: f.amount, source: 'fijo' });
+    }
+  }
+  for (const r of state.recurring) {
+    if (r.paused) continue;
+    const amount = isForeign(r) ? roundMoney(r.originalAmount * r.rate) : r.amount;
+    for (let d = tomorrow; d <= second; d = addDays(d, 1)) {
+      const iso = isoDate(d);
+      if (iso < r.start || (r.end && iso > r.end) || !matchesSchedule(r.schedule, d)) continue;
+      expect({ date: iso, name: r.name, amount: cashFlow({ ...r, amount }), source: 'recurrente' });
+    }
+  }
+  for (const p of state.purchases) {
+    for (const c of pendingInstallments(p)) {
+      const iso = isoDate(c.date);
+      if (iso > todayISO && iso <= horizon) expect({ date: iso, name: tr('{name} (cuota {i}/{n})', { name: p.name, i: c.i, n: p.installments }), amount: cashFlow({ ...p, type: 'expense', amount: c.amount }), source: 'cuota' });
+    }
+  }
+  events.sort((a, b) => a.date.localeCompare(b.date));
+
+  // Gasto variable: lo que no es fijo, recurrente, cuota ni liquidación, hasta ayer
+  const fixedKeys = new Set(fixed.map(f => f.key));
+  const varFrom = isoDate(addDays(today, -FORECAST_VARIABLE_DAYS));
+  let variable = 0, firstDate = todayISO;
+  for (const t of txs) {
+    if (t.date < varFrom || t.date >= todayISO) continue;
+    // Con poco historial se promedia desde el primer registro, no desde hace FORECAST_VARIABLE_DAYS
+    if (t.date < firstDate) firstDate = t.date;
+    if (t.type === 'expense' && !isKnownFlow(t) && !fixedKeys.has(nameKey(t.name))) variable -= cashFlow(t);
+  }
+  const days = Math.max(1, Math.round((today - parseDate(firstDate)) / DAY_MS));
+  const dailyVariable = variable / days;
+
+  // Recorrido día a día: saldos en los cierres y primer día negativo
+  const start = state.accounts.reduce((s, a) => s + accountBalance(a), 0);
+  let balance = start, knownToMonthEnd = 0;
+  let negative = start < 0 ? { date: todayISO, balance: start } : null;
+  const points = [];
+  for (let d = tomorrow, i = 0; d <= second; d = addDays(d, 1)) {
+    const iso = isoDate(d);
+    for (; i < events.length && events[i].date === iso; i++) {
+      balance += events[i].amount;
+      if (d <= monthEnd) knownToMonthEnd += events[i].amount;
+    }
+    balance -= dailyVariable;
+    if (!negative && balance < 0) negative = { date: iso, balance };
+    if (+endOfDay(d) === +first || +endOfDay(d) === +second) points.push({ date: iso, monthEnd: +endOfDay(d) === +monthEnd, balance });
+  }
+  // Hoy cuenta como día disponible
+  const daysLeft = Math.round((startOfDay(monthEnd) - today) / DAY_MS) + 1;
+  const safePerDay = Math.max(0, roundMoney((start + knownToMonthEnd) / daysLeft, Math.floor));
+  return { start, points, events, dailyVariable, negative, safePerDay, daysLeft };
+}
+
+// Se pide en cada render: los nombres fijos necesitan las transacciones (no alcanza con
+// state.daily), así que una ráfaga de cambios se agrupa en una sola lectura.
+function scheduleForecast() {
+  clearTimeout(forecastTimer);
+  forecastTimer = setTimeout(renderForecast, FORECAST_DELAY);
+}
+
+async function renderForecast() {
+  const seq = ++forecastSeq;
+  let f;
+  try {
+    f = await computeForecast();
+  } catch (err) {
+    if (seq !== forecastSeq) return;
+    $('#safeToSpend').textContent = tr('No se pudo calcular el pronóstico: {error}', { error: err.message });
+    $('#forecastList').innerHTML = '';
+    $('#forecastWarn').classList.add('hidden');
+    return;
+  }
+  if (seq !== forecastSeq) return;
+
+  $('#safeToSpend').textContent = f.safePerDay
+    ? tr('Puedes gastar {amount} por día hasta fin de mes ({n} {days}).', { amount: fmt(f.safePerDay), n: f.daysLeft, days: tr(f.daysLeft === 1 ? 'día' : 'días') })
+    : tr('Sin margen para gasto variable hasta fin de mes.');
+
+  const ul = $('#forecastList');
+  ul.innerHTML = '';
+  for (const p of f.points) {
+    addInfo(ul, `${tr(p.monthEnd ? 'Fin de mes' : 'Fin de quincena')} (${formatDate(p.date)})`, fmt(roundMoney(p.balance)));
+    ul.lastElementChild.classList.toggle('negative', p.balance < 0);
+  }
+  addInfo(ul, tr('Gasto variable promedio'), tr('{amount} por día', { amount: fmt(roundMoney(f.dailyVariable)) }));
+
+  const warn = $('#forecastWarn');
+  warn.classList.toggle('hidden', !f.negative);
+  if (f.negative) {
+    warn.textContent = tr('Con el gasto habitual, el saldo quedaría negativo el {date} ({amount}).', { date: formatDate(f.negative.date), amount: fmt(roundMoney(f.negative.balance)) });
+  }
+
+  const items = $('#forecastItems');
+  items.innerHTML = '';
+  $('#forecastSummary').textContent = tr('Próximos movimientos conocidos ({n})', { n: f.events.length });
+  for (const e of f.events) addInfo(items, `${formatDate(e.date)} · ${e.name} · ${tr(e.source)}`, `${e.amount > 0 ? '+' : ''}${fmt(e.amount)}`);
+}
+
+// ---------- Presupuestos ----------
+const DAY_MS = 1000 * 60 * 60 * 24;
+const BUDGET_PERIODS = { month: monthRange, fortnight: fortnightRange };
+
+function spentIn(categoryId, rg) {
+  let sum = 0;
+  for (const [date, d] of state.daily) {
+    if (within(date, rg.start, rg.end)) sum += categoryId == null ? d.expense : (d.cats.get(categoryId) || 0);
+  }
+  return sum;
+}
+
+// Estado del presupuesto en el periodo actual. Con `rollover` se suma lo que sobró
+// (o se resta lo que se excedió) en el periodo inmediatamente anterior.
+function budgetStatus(b, now = new Date()) {
+  const rangeOf = BUDGET_PERIODS[b.period] || monthRange;
+  const rg = rangeOf(now);
+  let limit = b.amount;
+  if (b.rollover) {
+    const prev = rangeOf(new Date(rg.start.getTime() - 1));
+    if (new Date(b.created) <= prev.end) limit += b.amount - spentIn(b.categoryId, prev);
+  }
+  const spent = spentIn(b.categoryId, rg);
+  const ratio = limit > 0 ? spent / limit : (spent > 0 ? Infinity : 0);
+  const daysLeft = Math.max(0, Math.ceil((rg.end - now) / DAY_MS));
+  return { limit, spent, remaining: limit - spent, ratio, daysLeft };
+}
+
+function budgetUsage() {
+  return new Map(state.budgets.map(b => [b.id, budgetStatus(b).ratio]));
+}
+
+function budgetLabel(b) {
+  const cat = categoryById(b.categoryId);
+  const who = cat ? `${cat.icon} ${cat.name}` : tr('General');
+  return `${who} · ${tr(b.period === 'fortnight' ? 'Quincena' : 'Mes')}`;
+}
+
+function renderBudgets() {
+  const ul = $('#budgetList');
+  ul.innerHTML = '';
+  $('#budgetEmpty').style.display = state.budgets.length ? 'none' : '';
+  for (const b of state.budgets) {
+    const st = budgetStatus(b);
+    const li = document.createElement('li');
+    li.className = 'budget' + (st.ratio >= 1 ? ' over' : st.ratio >= 0.8 ? ' warn' : '');
+
+    const head = document.createElement('div');
+    head.className = 'cat-head';
+    const k = document.createElement('span'); k.className = 'k'; k.textContent = budgetLabel(b);
+    const v = document.createElement('span'); v.textContent = tr('{spent} de {limit}', { spent: fmt(st.spent), limit: fmt(st.limit) });
+    head.append(k, v);
+
+    const bar = document.createElement('div');
+    bar.className = 'progress';
+    const fill = document.createElement('div');
+    fill.style.width = Math.min(100, Math.round(st.ratio * 100)) + '%';
+    bar.appendChild(fill);
+
+    const foot = document.createElement('div');
+    foot.className = 'cat-head muted';
+    const left = document.createElement('span');
+    left.textContent = st.remaining >= 0 ? tr('Quedan {amount}', { amount: fmt(st.remaining) }) : tr('Excedido en {amount}', { amount: fmt(-st.remaining) });
+    const days = document.createElement('span');
+    days.textContent = `${st.daysLeft} ${tr(st.daysLeft === 1 ? 'día' : 'días')} · ${tr(b.rollover ? 'acumula' : 'se reinicia')}`;
+    const del = document.createElement('button');
+    del.className = 'icon-btn';
+    del.title = tr('Eliminar');
+    del.setAttribute('aria-label', tr('Eliminar presupuesto {name}', { name: budgetLabel(b) }));
+    del.textContent = '✕';
+    del.addEventListener('click', () => deleteBudget(b.id));
+    days.appendChild(del);
+    foot.append(left, days);
+
+    li.append(head, bar, foot);
+    ul.appendChild(li);
+  }
+}
+
+function openBudgetDialog() {
+  $('#budgetCategory').value = '';
+  $('#budgetAmount').value = '';
+  $('#budgetPeriod').value = 'month';
+  $('#budgetRollover').checked = false;
+  $('#budgetDialog').showModal();
+}
+
+async function saveBudget(ev) {
+  ev.preventDefault();
+  const amount = parseAmount($('#budgetAmount'));
+  if (amount <= 0) return;
+  const budget = {
+    categoryId: $('#budgetCategory').value ? Number($('#budgetCategory').value) : null,
+    amount,
+    period: $('#budgetPeriod').value,
+    rollover: $('#budgetRollover').checked,
+    created: Date.now(),
+  };
+  budget.id = await dbp.add('budgets', budget);
+  state.budgets.push(budget);
+  $('#budgetDialog').close();
+  renderBudgets();
+}
+
+async function deleteBudget(id) {
+  await dbp.delete('budgets', id);
+  state.budgets = state.budgets.filter(b => b.id !== id);
+  renderBudgets();
+}
+
+// Avisa cuando un cambio hace cruzar el 80% o el 100% de algún presupuesto
+function checkBudgetAlerts(before) {
+  const msgs = [];
+  for (const b of state.budgets) {
+    const prev = before.get(b.id) ?? 0;
+    const now = budgetStatus(b).ratio;
+    if (prev < 1 && now >= 1) msgs.push(tr('Presupuesto excedido: {name}', { name: budgetLabel(b) }));
+    else if (prev < 0.8 && now >= 0.8) msgs.push(tr('Llevas el {pct}% de {name}', { pct: Math.round(now * 100), name: budgetLabel(b) }));
+  }
+  if (msgs.length) showAlert(msgs.join('\n'));
+}
+
+let alertTimer = null;
+function showAlert(text) {
+  const toast = $('#alertToast');
+  $('#alertText').textContent = text;
+  toast.classList.remove('hidden');
+  clearTimeout(alertTimer);
+  alertTimer = setTimeout(() => toast.classList.add('hidden'), 8000);
+  $('#dismissAlertBtn').onclick = () => toast.classList.add('hidden');
+}
+
+// ---------- Transacciones recurrentes ----------
+// schedule: { kind: 'monthly', day } | { kind: 'semimonthly' } (día 15 y último del mes)
+//         | { kind: 'weekly', weekday } | { kind: 'yearly', month, day }
+// El 2 de enero de 2000 fue domingo: sirve para nombrar los días en el idioma elegido
+const weekdayName = (i) => new Date(2000, 0, 2 + i).toLocaleDateString(settings.locale, { weekday: 'long' });
+
+function scheduleFromDate(kind, d) {
+  if (kind === 'weekly') return { kind, weekday: d.getDay() };
+  if (kind === 'yearly') return { kind, month: d.getMonth(), day: d.getDate() };
+  if (kind === 'semimonthly') return { kind };
+  return { kind: 'monthly', day: d.getDate() };
+}
+
+// Un día 31 en un mes de 30 días cae el último día del mes
+function matchesSchedule(sch, d) {
+  const last = lastDayOfMonth(d);
+  switch (sch.kind) {
+    case 'monthly': return d.getDate() === Math.min(sch.day, last);
+    case 'semimonthly': return d.getDate() === 15 || d.getDate() === last;
+    case 'weekly': return d.getDay() === sch.weekday;
+    case 'yearly': return d.getMonth() === sch.month && d.getDate() === Math.min(sch.day, last);
+    default: return false;
+  }
+}
+
+function describeSchedule(sch) {
+  switch (sch.kind) {
+    case 'monthly': return tr('Mensual, día {day}', { day: sch.day });
+    case 'semimonthly': return tr('Día 15 y último de cada mes');
+    case 'weekly': return tr('Semanal, los {weekday}', { weekday: weekdayName(sch.weekday) });
+    case 'yearly': return tr('Anual, {date}', { date: new Date(2000, sch.month, sch.day).toLocaleDateString(settings.locale, { day: 'numeric', month: 'long' }) });
+    default: return '—';
+  }
+}
+
+function nextOccurrence(rule, from = new Date()) {
+  let d = startOfDay(from);
+  for (let i = 0; i < 400; i++, d = addDays(d, 1)) {
+    const iso = isoDate(d);
+    if (rule.end && iso > rule.end) return null;
+    if (iso >= rule.start && matchesSchedule(rule.schedule, d)) return iso;
+  }
+  return null;
+}
+
+// Genera las ocurrencias vencidas hasta hoy, incluidas las que se perdieron con la app cerrada.
+// `lastGenerated` marca hasta dónde se generó, así una ocurrencia borrada no vuelve a aparecer.
+// Se llama al iniciar, al agregar y al volver a primer plano: si ya hay una pasada en curso se
+// espera esa en vez de empezar otra que leería el mismo `lastGenerated`.
+let recurringRun = null;
+function materializeRecurring(today = new Date()) {
+  recurringRun ??= generateRecurring(today).finally(() => { recurringRun = null; });
+  return recurringRun;
+}
+
+// Otra pestaña puede haber generado la misma ocurrencia entre la lectura de la regla y el alta, y
+// una ocurrencia borrada en otro dispositivo llega como lápida: ninguna de las dos se vuelve a crear
+async function occurrenceTaken(uid) {
+  if ((await dbp.indexKeys('transactions', 'by_uid', IDBKeyRange.only(uid))).length) return true;
+  return !!await dbp.get('tombstones', `transactions:${uid}`);
+}
+
+async function generateRecurring(today) {
+  const rules = await dbp.getAll('recurring');
+  const limit = isoDate(today);
+  let created = 0;
+  for (const r of rules) {
+    if (r.paused) continue;
+    const from = r.lastGenerated ? addDays(parseDate(r.lastGenerated), 1) : parseDate(r.start);
+    const to = parseDate(r.end && r.end < limit ? r.end : limit);
+    if (from > to) continue;
+    for (let d = from; d <= to; d = addDays(d, 1)) {
+      if (!matchesSchedule(r.schedule, d)) continue;
+      const date = isoDate(d);
+      const uid = `rec:${r.uid}:${date}`;
+      if (await occurrenceTaken(uid)) continue;
+      // En moneda extranjera (p. ej. arriendo en UF) se convierte con el valor del día si está guardado
+      const fx = isForeign(r) ? { currency: r.currency, originalAmount: r.originalAmount, rate: await storedRate(date, r.currency) ?? r.rate } : {};
+      const t = {
+        type: r.type, name: r.name, amount: fx.rate ? roundMoney(fx.originalAmount * fx.rate) : r.amount, ...fx, date,
+        categoryId: r.categoryId ?? null, tags: r.tags || [], attachments: [],
+        accountId: r.accountId, toAccountId: r.toAccountId,
+        recurringId: r.id, occurrence: date, created: Date.now(),
+        // Cada dispositivo genera sus ocurrencias: el mismo uid hace que se fusionen al sincronizar
+        uid,
+      };
+      if (r.split) t.split = resplit(r.split, t.amount);
+      applyDocType(t, r.docType);
+      t.id = await dbp.add('transactions', t);
+      await logChange('create', null, t, 'recurring');
+      created++;
+    }
+    r.lastGenerated = isoDate(to);
+    await dbp.put('recurring', r);
+  }
+  return created;
+}
+
+// 'one': solo esta ocurrencia (queda desvinculada de futuros cambios a la regla).
+// 'future': actualiza la regla y las ocurrencias desde esta en adelante.
+async function applyRecurringEdit(tx, scope) {
+  if (scope !== 'future') { tx.detached = true; return; }
+  const rule = await dbp.get('recurring', tx.recurringId);
+  if (!rule) return;
+  Object.assign(rule, { type: tx.type, name: tx.name, amount: tx.amount, categoryId: tx.categoryId, tags: tx.tags, accountId: tx.accountId, toAccountId: tx.toAccountId, docType: tx.docType, split: tx.split });
+  delete rule.currency; delete rule.originalAmount; delete rule.rate;
+  if (isForeign(tx)) Object.assign(rule, { currency: tx.currency, originalAmount: tx.originalAmount, rate: tx.rate });
+  await dbp.put('recurring', rule);
+  const idx = state.recurring.findIndex(r => r.id === rule.id);
+  if (idx >= 0) state.recurring[idx] = rule;
+  tx.detached = false;
+  for (const t of await dbp.getAllByIndex('transactions', 'by_recurring', IDBKeyRange.only(rule.id))) {
+    if (t.id === tx.id || t.detached || t.occurrence < tx.occurrence) continue;
+    const prev = { ...t };
+    Object.assign(t, { type: rule.type, name: rule.name, amount: rule.amount, categoryId: rule.categoryId, tags: rule.tags, accountId: rule.accountId, toAccountId: rule.toAccountId });
+    if (isForeign(rule)) {
+      // Cada ocurrencia mantiene el valor de su propia fecha
+      const rate = t.currency === rule.currency && t.rate ? t.rate : rule.rate;
+      Object.assign(t, { currency: rule.currency, originalAmount: rule.originalAmount, rate, amount: roundMoney(rule.originalAmount * rate) });
+    } else {
+      delete t.currency; delete t.originalAmount; delete t.rate;
+    }
+    applyDocType(t, rule.docType);
+    delete t.split;
+    if (rule.split) t.split = resplit(rule.split, t.amount);
+    await dbp.put('transactions', t);
+    await logChange('update', prev, t, 'series');
+  }
+}
+
+function renderRecurring() {
+  const ul = $('#recurringList');
+  ul.innerHTML = '';
+  $('#recurringEmpty').style.display = state.recurring.length ? 'none' : '';
+  const today = todayStr();
+  for (const r of state.recurring) {
+    const ended = r.end && r.end < today;
+    const li = document.createElement('li');
+    const k = document.createElement('span');
+    k.className = 'k';
+    const sign = r.type === 'expense' ? '-' : '+';
+    k.textContent = `${r.name} · ${sign} ${isForeign(r) ? fmtCurrency(r.originalAmount, r.currency) : fmt(r.amount)}`;
+    const v = document.createElement('span');
+    const next = !ended && !r.paused ? nextOccurrence(r, addDays(parseDate(r.lastGenerated || r.start), 1)) : null;
+    const status = ended ? tr('Finalizada') : r.paused ? tr('En pausa') : next ? tr('Próxima: {date}', { date: parseDate(next).toLocaleDateString(settings.locale, { day: '2-digit', month: 'short' }) }) : '—';
+    v.textContent = `${describeSchedule(r.schedule)} · ${status}`;
+    li.append(k, v);
+    if (!ended) {
+      const actions = document.createElement('span');
+      actions.className = 'right';
+      actions.append(
+        iconButton(r.paused ? '▶' : '⏸', tr(r.paused ? 'Reanudar' : 'Pausar'), () => toggleRecurring(r)),
+        iconButton('⏹', tr('Finalizar'), () => endRecurring(r)),
+      );
+      li.appendChild(actions);
+    }
+    ul.appendChild(li);
+  }
+}
+
+function iconButton(text, title, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'icon-btn';
+  btn.title = title;
+  btn.setAttribute('aria-label', title);
+  btn.textContent = text;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// Al reanudar no se recuperan las ocurrencias del tiempo en pausa
+async function toggleRecurring(rule) {
+  rule.paused = !rule.paused;
+  if (!rule.paused) rule.lastGenerated = isoDate(addDays(new Date(), -1));
+  await dbp.put('recurring', rule);
+  if (!rule.paused && await materializeRecurring()) await loadAll();
+  else renderRecurring();
+}
+
+async function endRecurring(rule) {
+  if (!confirm(tr('¿Finalizar "{name}"? No se generarán más ocurrencias.', { name: rule.name }))) return;
+  rule.end = todayStr();
+  await dbp.put('recurring', rule);
+  renderRecurring();
+}
+
+// ---------- Compras en cuotas ----------
+// La compra queda en `purchases` y cada cuota es un gasto del mes que le corresponde, con
+// `purchaseId` e `installment`. Igual que las recurrentes, se generan al llegar su fecha.
+function syncInstallmentFields() {
+  const acc = accountById(Number($('#account').value));
+  const show = $('#type').value === 'expense' && acc?.kind === 'credit';
+  $('#installmentRow').classList.toggle('hidden', !show);
+}
+
+// Cuota fija con interés (sistema francés); `rate` es el interés mensual en %
+function fixedInstallment(total, n, rate) {
+  const r = rate / 100;
+  return roundMoney(total * r / (1 - (1 + r) ** -n));
+}
+
+// Sin interés la última cuota absorbe el redondeo para que la suma sea exactamente el total
+function installmentAmount(p, i) {
+  if (p.rate) return p.installmentAmount;
+  return i === p.installments ? roundMoney(p.total - p.installmentAmount * (p.installments - 1)) : p.installmentAmount;
+}
+
+// Cuota i (desde 1): mismo día que la primera, o el último día si el mes es más corto
+function installmentDate(p, i) {
+  const d = parseDate(p.first);
+  const m = new Date(d.getFullYear(), d.getMonth() + i - 1, 1);
+  return new Date(m.getFullYear(), m.getMonth(), Math.min(d.getDate(), lastDayOfMonth(m)));
+}
+
+function pendingInstallments(p) {
+  const out = [];
+  if (p.status !== 'active') return out;
+  for (let i = p.generated + 1; i <= p.installments; i++) out.push({ i, date: installmentDate(p, i), amount: installmentAmount(p, i) });
+  return out;
+}
+
+// Lo que se paga al prepagar: con interés solo el capital pendiente, sin interés el resto de las cuotas
+function outstanding(p) {
+  if (!p.rate) return pendingInstallments(p).reduce((s, c) => s + c.amount, 0);
+  const r = p.rate / 100, g = (1 + r) ** p.generated;
+  return Math.max(0, roundMoney(p.total * g - p.installmentAmount * (g - 1) / r));
+}
+
+// Igual que materializeRecurring: una sola pasada a la vez, porque ambas leen el mismo `generated`
+let installmentRun = null;
+function materializeInstallments(today = new Date()) {
+  installmentRun ??= generateInstallments(today).finally(() => { installmentRun = null; });
+  return installmentRun;
+}
+
+async function generateInstallments(today) {
+  const limit = isoDate(today);
+  let created = 0;
+  for (const p of await dbp.getAll('purchases')) {
+    if (p.status !== 'active') continue;
+    const { generated, status } = p;
+    while (p.generated < p.installments && isoDate(installmentDate(p, p.generated + 1)) <= limit) {
+      const i = ++p.generated;
+      const uid = `cuota:${p.uid}:${i}`; // igual en todos los dispositivos (ver materializeRecurring)
+      if (await occurrenceTaken(uid)) continue;
+      const t = {
+        type: 'expense', name: p.name, amount: installmentAmount(p, i), date: isoDate(installmentDate(p, i)),
+        categoryId: p.categoryId ?? null, tags: p.tags || [], accountId: p.accountId,
+        // El comprobante de la compra queda en la primera cuota
+        attachments: i === 1 ? p.attachments || [] : [],
+        ...(i === 1 && p.dte && { dte: p.dte, dteKey: p.dteKey }),
+        ...(i === 1 && p.docType && { docType: p.docType, net: p.net, iva: p.iva, exempt: p.exempt }),
+        purchaseId: p.id, installment: i, installments: p.installments, created: Date.now(), uid,
+      };
+      if (p.split) t.split = resplit(p.split, t.amount);
+      t.id = await dbp.add('transactions', t);
+      await logChange('create', null, t, 'installments');
+      created++;
+    }
+    if (p.generated === p.installments) p.status = 'done';
+    // Cada put le da un `updated` nuevo y la compra se volvería a enviar al sincronizar
+    if (p.generated !== generated || p.status !== status) await dbp.put('purchases', p);
+  }
+  return created;
+}
+
+function renderInstallments() {
+  const ul = $('#purchaseList');
+  ul.innerHTML = '';
+  const active = state.purchases.filter(p => p.status === 'active');
+  $('#purchaseEmpty').style.display = active.length ? 'none' : '';
+  const months = new Map();
+  for (const p of active) {
+    const pending = pendingInstallments(p);
+    for (const c of pending) {
+      const key = isoDate(c.date).slice(0, 7);
+      months.set(key, (months.get(key) || 0) + c.amount);
+    }
+    const li = document.createElement('li');
+    const k = document.createElement('span');
+    k.className = 'k';
+    const terms = p.rate ? tr('({rate} % mensual)', { rate: p.rate.toLocaleString(settings.locale) }) : tr('sin interés');
+    k.textContent = tr('{name} · {total} en {n} cuotas {terms}', { name: p.name, total: fmt(p.total), n: p.installments, terms });
+    const v = document.createElement('span');
+    v.textContent = tr('Pagadas {paid}/{n} · quedan {amount}', { paid: p.generated, n: p.installments, amount: fmt(pending.reduce((s, c) => s + c.amount, 0)) });
+    const actions = document.createElement('span');
+    actions.className = 'right';
+    actions.append(
+      iconButton('⏩', tr('Prepagar cuotas restantes'), () => prepayPurchase(p)),
+      iconButton('✕', tr('Anular cuotas restantes'), () => cancelPurchase(p)),
+    );
+    li.append(k, v, actions);
+    ul.appendChild(li);
+  }
+
+  const cm = $('#commitmentList');
+  cm.innerHTML = '';
+  $('#commitmentHeader').classList.toggle('hidden', !months.size);
+  let total = 0;
+  for (const [key, amount] of Array.from(months).sort((a, b) => a[0].localeCompare(b[0]))) {
+    total += amount;
+    addInfo(cm, parseDate(`${key}-01`).toLocaleDateString(settings.locale, { month: 'long', year: 'numeric' }), fmt(amount));
+  }
+  if (months.size) addInfo(cm, tr('Total comprometido'), fmt(roundMoney(total)));
+}
+
+async function prepayPurchase(p) {
+  const left = p.installments - p.generated;
+  const amount = outstanding(p);
+  if (!confirm(tr('¿Prepagar {n} cuotas de "{name}" por {amount}?', { n: left, name: p.name, amount: fmt(amount) }))) return;
+  const before = budgetUsage();
+  const t = {
+    type: 'expense', name: p.name, amount, date: todayStr(),
+    categoryId: p.categoryId ?? null, tags: p.tags || [], accountId: p.accountId, attachments: [],
+    purchaseId: p.id, prepaid: { from: p.generated + 1, to: p.installments }, installments: p.installments, created: Date.now(),
+  };
+  if (p.split) t.split = resplit(p.split, amount);
+  t.id = await dbp.add('transactions', t);
+  await logChange('create', null, t);
+  p.generated = p.installments;
+  p.status = 'prepaid';
+  await dbp.put('purchases', p);
+  await loadAll();
+  checkBudgetAlerts(before);
+}
+
+// Para compras anuladas o reversadas: las cuotas ya registradas se mantienen
+async function cancelPurchase(p) {
+  if (!confirm(tr('¿Anular las {n} cuotas restantes de "{name}"?', { n: p.installments - p.generated, name: p.name }))) return;
+  p.status = 'cancelled';
+  await dbp.put('purchases', p);
+  renderInstallments();
+}
+
+// ---------- CSV (exportar / importar) ----------
+// Formato compatible con Excel en es-CL: separador ';', coma decimal y BOM UTF-8.
+const CSV_SEP = ';';
+
+// Excel y otras planillas ejecutan como fórmula lo que empieza con = + - @: se antepone un
+// apóstrofo (los números negativos quedan tal cual) y csvText lo quita al importar
+const CSV_FORMULA = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  let s = String(v ?? '');
+  if (CSV_FORMULA.test(s) && !/^-?\d+([.,]\d+)?$/.test(s)) s = `'${s}`;
+  return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvText(v) {
+  const s = String(v ?? '').trim();
+  return s.startsWith("'") && CSV_FORMULA.test(s.slice(1)) ? s.slice(1) : s;
+}
+
+function toCSV(rows) {
+  return '\uFEFF' + rows.map(r => r.map(csvCell).join(CSV_SEP)).join('\r\n');
+}
+
+// Las cartolas traen líneas de título antes del encabezado: se miran las primeras líneas
+function detectDelimiter(text) {
+  const first = text.split(/\r?\n/, 10).join('\n');
+  const counts = [';', ',', '\t'].map(d => [d, first.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function parseCSV(text, sep = detectDelimiter(text)) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// "12.500", "$ 12.500", "1.234,56", "-3500" → número (null si no se entiende)
+function parseLocaleAmount(str) {
+  let s = String(str ?? '').replace(/[^\d,.\-]/g, '');
+  if (!s) return null;
+  if (s.includes(',')) s = s.replace(/\./g, '').replace(',', '.');
+  else if (/^-?\d{1,3}(\.\d{3})+$/.test(s)) s = s.replace(/\./g, '');
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Acepta AAAA-MM-DD, DD-MM-AAAA y DD/MM/AA(AA); devuelve 'YYYY-MM-DD'
+function parseFlexibleDate(str) {
+  const s = String(str ?? '').trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return isoDate(new Date(+m[1], m[2] - 1, +m[3]));
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (m) {
+    const y = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    const d = new Date(y, m[2] - 1, +m[1]);
+    return d.getMonth() === m[2] - 1 ? isoDate(d) : null;
+  }
+  return null;
+}
+
+function formatDateCL(iso) {
+  const [y, m, d] = iso.split('-');
+  return `${d}-${m}-${y}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+async function exportCSV(ev) {
+  ev.preventDefault();
+  const from = $('#exportFrom').value;
+  const to = $('#exportTo').value;
+  // Exporta la lista actual: respeta el filtro activo además del rango elegido
+  const base = state.view || await dbp.getAllByIndex('transactions', 'by_date', IDBKeyRange.bound(from || '0000-01-01', to || '9999-12-31'));
+  const txs = base
+    .filter(t => (!from || t.date >= from) && (!to || t.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+  const rows = [['Fecha', 'Tipo', 'Nombre', 'Monto', 'Categoría', 'Etiquetas', 'Moneda', 'Monto original', 'Cuenta']];
+  for (const t of txs) {
+    rows.push([
+      formatDateCL(t.date),
+      TYPE_LABELS[t.type],
+      t.name,
+      String(t.amount).replace('.', ','),
+      categoryById(t.categoryId)?.name || '',
+      (t.tags || []).join(', '),
+      t.currency || settings.currency,
+      String(isForeign(t) ? t.originalAmount : t.amount).replace('.', ','),
+      accountLabel(t, false),
+    ]);
+  }
+  const suffix = from || to ? `_${from || 'inicio'}_${to || todayStr()}` : '';
+  downloadBlob(new Blob([toCSV(rows)], { type: 'text/csv;charset=utf-8' }), `transacciones${suffix}.csv`);
+  $('#exportDialog').close();
+}
+
+let csvImport = null;
+
+async function onCsvFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  const rows = parseCSV(await file.text());
+  if (!rows.length) { showAlert(tr('El archivo no tiene filas.')); return; }
+  // Se leen una vez para detectar duplicados contra lo ya guardado
+  const existing = new Map((await dbp.getAll('transactions')).map(t => [dupKey(t), t]));
+  csvImport = { rows, fileName: file.name, existing };
+  $('#csvFileName').textContent = file.name;
+  $('#csvHasHeader').checked = true;
+  $('#csvDuplicates').value = 'skip';
+  setupCsvMapping();
+  renderCsvPreview();
+  $('#importDialog').showModal();
+}
+
+const CSV_GUESS = {
+  date: /fecha|date/i,
+  name: /nombre|descrip|detalle|glosa|name/i,
+  amount: /monto|importe|valor|amount/i,
+  type: /tipo|type/i,
+  category: /categor/i,
+  tags: /etiqueta|tag/i,
+  account: /^cuenta|account/i,
+};
+
+function setupCsvMapping() {
+  const header = $('#csvHasHeader').checked;
+  const width = Math.max(...csvImport.rows.map(r => r.length));
+  const column = (i) => tr('Columna {n}', { n: i + 1 });
+  const labels = Array.from({ length: width }, (_, i) => header ? (csvImport.rows[0][i] || column(i)) : column(i));
+  const fill = (sel, field, extra) => {
+    sel.innerHTML = extra;
+    labels.forEach((l, i) => {
+      const opt = document.createElement('option');
+      opt.value = i;
+      opt.textContent = l;
+      sel.appendChild(opt);
+    });
+    const guess = header ? labels.findIndex(l => CSV_GUESS[field].test(l)) : -1;
+    sel.value = guess >= 0 ? guess : (extra ? sel.options[0].value : 0);
+  };
+  fill($('#mapDate'), 'date', '');
+  fill($('#mapName'), 'name', '');
+  fill($('#mapAmount'), 'amount', '');
+  fill($('#mapType'), 'type', `<option value="">${tr('Todos son gastos')}</option><option value="sign">${tr('Según signo (negativo = gasto)')}</option>`);
+  fill($('#mapCategory'), 'category', '<option value="">—</option>');
+  fill($('#mapTags'), 'tags', '<option value="">—</option>');
+  fill($('#mapAccount'), 'account', '<option value="">—</option>');
+}
+
+function csvType(raw, amount, mapping) {
+  if (mapping === 'sign') return amount < 0 ? 'expense' : 'income';
+  if (mapping === '') return 'expense';
+  const s = String(raw).trim();
+  if (/^transf/i.test(s)) return 'transfer';
+  return /^(i|ingreso|income|abono|cr)/i.test(s) ? 'income' : 'expense';
+}
+
+// Nombre de cuenta como lo escribe exportCSV; en transferencias "Origen → Destino"
+function csvAccounts(raw, type) {
+  const byName = (name) => state.accounts.find(a => a.name.toLowerCase() === name.trim().toLowerCase())?.id ?? null;
+  const s = csvText(raw);
+  if (type !== 'transfer') return { accountId: s ? byName(s) : null };
+  const [from, to] = s.split('→');
+  const accountId = from ? byName(from) : null;
+  const toAccountId = to ? byName(to) : null;
+  return accountId != null && toAccountId != null && accountId !== toAccountId ? { accountId, toAccountId } : null;
+}
+
+const dupKey = (t) => `${t.date}|${t.amount}|${t.name.trim().toLowerCase()}`;
+
+// Convierte las filas según el mapeo y marca las que coinciden en fecha, monto y nombre con lo
+// ya guardado o con una fila anterior del mismo archivo
+function mappedCsvRows() {
+  const map = (id) => $(id).value;
+  const cols = { date: map('#mapDate'), name: map('#mapName'), amount: map('#mapAmount'), type: map('#mapType'), category: map('#mapCategory'), tags: map('#mapTags'), account: map('#mapAccount') };
+  const data = $('#csvHasHeader').checked ? csvImport.rows.slice(1) : csvImport.rows;
+  const { existing } = csvImport;
+  const inFile = new Map();
+  const catByName = new Map(state.categories.map(c => [c.name.toLowerCase(), c.id]));
+  return data.map(r => {
+    const date = parseFlexibleDate(r[cols.date]);
+    const name = csvText(r[cols.name]);
+    const raw = parseLocaleAmount(r[cols.amount]);
+    if (!date || !name || raw == null || raw === 0) return { invalid: true, raw: r };
+    const type = csvType(cols.type === '' || cols.type === 'sign' ? '' : r[cols.type], raw, cols.type);
+    // Una transferencia sin sus dos cuentas no se puede registrar
+    const accounts = csvAccounts(cols.account === '' ? '' : r[cols.account], type);
+    if (!accounts) return { invalid: true, raw: r };
+    const tx = {
+      type, name, amount: roundMoney(Math.abs(raw)), date, ...accounts,
+      categoryId: cols.category === '' || type === 'transfer' ? null : catByName.get(csvText(r[cols.category]).toLowerCase()) ?? null,
+      tags: cols.tags === '' ? [] : parseTags(csvText(r[cols.tags])),
+    };
+    const key = dupKey(tx);
+    const duplicate = existing.get(key) || inFile.get(key) || null;
+    if (!inFile.has(key)) inFile.set(key, tx);
+    return { tx, duplicate };
+  });
+}
+
+function renderCsvPreview() {
+  const rows = mappedCsvRows();
+  const valid = rows.filter(r => !r.invalid);
+  const dups = valid.filter(r => r.duplicate);
+  $('#csvSummary').textContent =
+    tr('{valid} filas válidas · {dups} posibles duplicados · {invalid} no reconocidas', { valid: valid.length, dups: dups.length, invalid: rows.length - valid.length });
+
+  const tbody = $('#csvPreview tbody');
+  tbody.innerHTML = '';
+  for (const r of rows.slice(0, 8)) {
+    const row = document.createElement('tr');
+    if (r.invalid) {
+      row.className = 'invalid';
+      const td = document.createElement('td');
+      td.colSpan = 5;
+      td.textContent = r.raw.join(' | ');
+      row.appendChild(td);
+    } else {
+      if (r.duplicate) row.className = 'duplicate';
+      for (const v of [formatDate(r.tx.date), tr(TYPE_LABELS[r.tx.type]), r.tx.name, fmt(r.tx.amount), r.duplicate ? tr('Duplicado') : '']) {
+        const td = document.createElement('td');
+        td.textContent = v;
+        row.appendChild(td);
+      }
+    }
+    tbody.appendChild(row);
+  }
+}
+
+async function importCSV(ev) {
+  ev.preventDefault();
+  if (!csvImport) return;
+  const policy = $('#csvDuplicates').value; // 'skip'|'merge'|'import'
+  const rows = mappedCsvRows().filter(r => !r.invalid);
+  let added = 0, merged = 0, skipped = 0;
+  for (const { tx, duplicate } of rows) {
+    if (duplicate && policy === 'skip') { skipped++; continue; }
+    if (duplicate && policy === 'merge') {
+      const prev = { ...duplicate };
+      duplicate.categoryId ??= tx.categoryId;
+      duplicate.tags = Array.from(new Set([...(duplicate.tags || []), ...tx.tags]));
+      await dbp.put('transactions', duplicate);
+      await logChange('update', prev, duplicate, 'csv');
+      merged++;
+      continue;
+    }
+    // Se guarda el mismo objeto: si una fila posterior del archivo lo repite, se fusiona con este
+    Object.assign(tx, { attachments: [], created: Date.now() });
+    tx.id = await dbp.add('transactions', tx);
+    await logChange('create', null, tx, 'csv');
+    added++;
+  }
+  csvImport = null;
+  $('#importDialog').close();
+  await loadAll();
+  showAlert(tr('Importación: {added} agregadas, {merged} fusionadas, {skipped} omitidas.', { added, merged, skipped }));
+}
+
+// ---------- Monedas (CLP, USD, EUR, UF) ----------
+// `amount` siempre está en la moneda base de los ajustes (totales y estadísticas no cambian); una
+// transacción en otra moneda guarda además `currency`, `originalAmount` y `rate` (moneda base por
+// unidad en esa fecha). La tabla `rates` guarda CLP por unidad: con otra base se cruza vía el peso.
+const MINDICADOR_CODES = { USD: 'dolar', EUR: 'euro', UF: 'uf' };
+const MONEY_FIELDS = {
+  add: { currency: '#currency', amount: '#amount', rate: '#rate', date: '#date', row: '#rateRow', label: '#rateLabel', hint: '#rateHint' },
+  edit: { currency: '#editCurrency', amount: '#editAmount', rate: '#editRate', date: '#editDate', row: '#editRateRow', label: '#editRateLabel', hint: '#editRateHint' },
+};
+
+const isForeign = (t) => !!t.currency && t.currency !== settings.currency;
+
+function fmtCurrency(n, currency) {
+  if (!currency || currency === settings.currency) return fmt(n);
+  if (currency === 'UF') return `UF ${Number(n).toLocaleString(settings.locale, { maximumFractionDigits: 4 })}`;
+  return new Intl.NumberFormat(settings.locale, { style: 'currency', currency }).format(n);
+}
+
+async function storeRates(date, values, source) {
+  const clean = Object.fromEntries(Object.entries(values).filter(([, v]) => Number.isFinite(v) && v > 0));
+  if (!Object.keys(clean).length) return;
+  const row = (await dbp.get('rates', date)) || { date };
+  await dbp.put('rates', { ...row, ...clean, source });
+}
+
+async function storedClp(date, currency) {
+  if (currency === 'CLP') return 1;
+  const row = await dbp.get('rates', date);
+  return row?.[currency] ?? null;
+}
+
+// Valor guardado de 1 `currency` en la moneda base
+async function storedRate(date, currency) {
+  if (currency === settings.currency) return 1;
+  const value = await storedClp(date, currency);
+  const base = value && await storedClp(date, settings.currency);
+  return base ? value / base : null;
+}
+
+// Último valor guardado hasta `date` inclusive
+function latestStoredClp(date, currency) {
+  return new Promise((res, rej) => {
+    const req = dbp.tx(['rates']).objectStore('rates').openCursor(IDBKeyRange.upperBound(date), 'prev');
+    req.onsuccess = () => {
+      const c = req.result;
+      if (!c) return res(null);
+      if (c.value[currency]) return res(c.value[currency]);
+      c.continue();
+    };
+    req.onerror = () => rej(req.error);
+  });
+}
+
+// CLP por unidad: el guardado del día o, si no está, el histórico de mindicador para esa fecha.
+// Los fines de semana y feriados no tienen valor propio: rige el de los días previos en
+// mindicador o, sin conexión, el último guardado.
+async function clpRate(date, currency, daysBack = 4) {
+  const stored = await storedClp(date, currency);
+  if (stored) return stored;
+  let online = false;
+  try {
+    const res = await fetch(`https://mindicador.cl/api/${MINDICADOR_CODES[currency]}/${formatDateCL(date)}`);
+    const value = (await res.json())?.serie?.[0]?.valor;
+    if (value) {
+      await storeRates(date, { [currency]: value }, 'mindicador');
+      return value;
+    }
+    online = true;
+  } catch (e) {
+    // Sin conexión: queda el último valor guardado o el usuario lo ingresa a mano
+  }
+  if (online && daysBack) return clpRate(isoDate(addDays(parseDate(date), -1)), currency, daysBack - 1);
+  return latestStoredClp(date, currency);
+}
+
+async function rateFor(date, currency) {
+  if (currency === settings.currency) return 1;
+  const value = await clpRate(date, currency);
+  const base = value && await clpRate(date, settings.currency);
+  return base ? value / base : null;
+}
+
+async function readMoney(f, date) {
+  const currency = $(f.currency).value;
+  if (currency === settings.currency) return { amount: parseAmount($(f.amount)), fx: {} };
+  const originalAmount = parseDecimal($(f.amount));
+  const manual = parseDecimal($(f.rate));
+  const rate = manual || await rateFor(date, currency);
+  if (!rate) {
+    showAlert(tr('No hay valor del {currency} para esa fecha. Ingrésalo manualmente.', { currency }));
+    $(f.rate).focus();
+    return null;
+  }
+  // Un valor ingresado a mano queda para ese día si no había uno oficial (se guarda en CLP)
+  const base = await storedClp(date, settings.currency);
+  if (manual && $(f.rate).dataset.manual && base && !(await storedRate(date, currency))) {
+    await storeRates(date, { [currency]: manual * base }, 'manual');
+  }
+  return { amount: roundMoney(originalAmount * rate), fx: { currency, originalAmount, rate } };
+}
+
+async function refreshCurrencyInputs(f) {
+  const currency = $(f.currency).value;
+  const foreign = currency !== settings.currency;
+  $(f.row).classList.toggle('hidden', !foreign);
+  $(f.amount).step = foreign || moneyDigits ? 'any' : '1';
+  if (!foreign) return;
+  $(f.label).textContent = tr('Valor de 1 {currency} en {base}', { currency, base: settings.currency });
+  if (!$(f.rate).dataset.manual) {
+    const rate = await rateFor($(f.date).value || todayStr(), currency);
+    $(f.rate).value = rate ?? '';
+  }
+  showConverted(f);
+}
+
+function showConverted(f) {
+  const rate = parseDecimal($(f.rate));
+  const original = parseDecimal($(f.amount));
+  $(f.hint).textContent = rate
+    ? `≈ ${fmt(roundMoney(original * rate))}`
+    : tr('Sin valor para esta fecha (¿sin conexión?): ingrésalo manualmente.');
+}
+
+function bindCurrencyInputs(f) {
+  $(f.currency).addEventListener('change', () => { $(f.rate).dataset.manual = ''; refreshCurrencyInputs(f); });
+  $(f.date).addEventListener('change', () => refreshCurrencyInputs(f));
+  $(f.rate).addEventListener('input', () => { $(f.rate).dataset.manual = '1'; showConverted(f); });
+  $(f.amount).addEventListener('input', () => { if ($(f.currency).value !== settings.currency) showConverted(f); });
+}
+
+function resetCurrencyInputs(f) {
+  $(f.rate).dataset.manual = '';
+  $(f.rate).value = '';
+  refreshCurrencyInputs(f);
+}
+
+// ---------- Cartolas bancarias y OFX ----------
+// Cada banco es un perfil: `match` lo reconoce por el contenido del archivo y `columns`
+// agrega alias de encabezados a los comunes. Un movimiento es { date, description, amount, ref }
+// con monto negativo para cargos y positivo para abonos.
+const BANK_COLUMNS = {
+  date: ['fecha', 'fecha operación', 'fecha movimiento', 'fecha contable'],
+  description: ['descripción', 'descripcion', 'detalle', 'glosa', 'movimiento', 'descripción movimiento'],
+  debit: ['cargo', 'cargos', 'cargos ($)', 'giros', 'débito', 'debito', 'monto cargo'],
+  credit: ['abono', 'abonos', 'abonos ($)', 'depósitos', 'depositos', 'crédito', 'credito', 'monto abono'],
+  amount: ['monto', 'monto ($)', 'importe'],
+  doc: ['n° documento', 'nº documento', 'documento', 'n° operación', 'nro. operación', 'número de documento'],
+  balance: ['saldo', 'saldo ($)'],
+};
+
+const BANK_PROFILES = [
+  { id: 'ofx', name: 'OFX / QFX', kind: 'ofx', match: /<OFX>|OFXHEADER/i },
+  { id: 'bancoestado', name: 'BancoEstado', kind: 'table', match: /bancoestado|cuentarut/i, columns: { doc: ['n° operación'] } },
+  { id: 'bancochile', name: 'Banco de Chile / Edwards', kind: 'table', match: /banco de chile|bancoedwards|banchile/i, columns: { debit: ['cargos (clp)'], credit: ['abonos (clp)'] } },
+  { id: 'santander', name: 'Santander', kind: 'table', match: /santander/i, columns: { doc: ['n° docto', 'serial'] } },
+  { id: 'bci', name: 'Bci', kind: 'table', match: /\bbci\b|banco de cr[eé]dito e inversiones/i, columns: { description: ['transacción'] } },
+  { id: 'scotiabank', name: 'Scotiabank', kind: 'table', match: /scotiabank/i },
+  { id: 'itau', name: 'Itaú', kind: 'table', match: /ita[uú]/i },
+  { id: 'generic', name: 'Otro banco (CSV genérico)', kind: 'table', match: /$^/ },
+];
+
+function bankProfile(id) {
+  return BANK_PROFILES.find(p => p.id === id) || BANK_PROFILES[BANK_PROFILES.length - 1];
+}
+
+function detectBankProfile(text) {
+  return (BANK_PROFILES.find(p => p.match.test(text.slice(0, 4000))) || bankProfile('generic')).id;
+}
+
+function parseOFX(text) {
+  const out = [];
+  for (const block of text.split(/<STMTTRN>/i).slice(1)) {
+    const tag = (t) => block.match(new RegExp(`<${t}>([^<\\r\\n]*)`, 'i'))?.[1]?.trim() ?? '';
+    const dt = tag('DTPOSTED');
+    const amount = Number(tag('TRNAMT').replace(',', '.'));
+    if (dt.length < 8 || !Number.isFinite(amount)) continue;
+    out.push({
+      date: `${dt.slice(0, 4)}-${dt.slice(4, 6)}-${dt.slice(6, 8)}`,
+      description: tag('NAME') || tag('MEMO') || tag('TRNTYPE'),
+      amount,
+      ref: tag('FITID') || null,
+    });
+  }
+  return out;
+}
+
+// Varios bancos exportan "XLS" que en realidad es una tabla HTML
+function htmlTableRows(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  return Array.from(doc.querySelectorAll('tr'), tr => Array.from(tr.cells, td => td.textContent.replace(/\s+/g, ' ').trim()));
+}
+
+// XLSX: un zip con XML. Se lee la primera hoja sin librerías (DecompressionStream); el .xls
+// binario antiguo (BIFF) no se puede leer así y se pide guardarlo como XLSX o CSV.
+async function unzip(buf) {
+  const bytes = new Uint8Array(buf);
+  const view = new DataView(buf);
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error(tr('el archivo no es un zip válido'));
+  const files = new Map();
+  let p = view.getUint32(end + 16, true);
+  for (let i = view.getUint16(end + 10, true); i > 0; i--) {
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const local = view.getUint32(p + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    files.set(name, { method, data: bytes.subarray(start, start + size) });
+    p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+  }
+  return async (name) => {
+    const f = files.get(name);
+    if (!f) return null;
+    const raw = f.method === 8 ? new Response(new Response(f.data).body.pipeThrough(new DecompressionStream('deflate-raw'))) : new Response(f.data);
+    return new DOMParser().parseFromString(await raw.text(), 'application/xml');
+  };
+}
+
+// Filas de la primera hoja como texto; las fechas (números con formato de fecha) van como 'YYYY-MM-DD'
+async function xlsxRows(buf) {
+  const read = await unzip(buf);
+  const workbook = await read('xl/workbook.xml');
+  if (!workbook) throw new Error(tr('no es una planilla XLSX'));
+  const rels = await read('xl/_rels/workbook.xml.rels');
+  const firstId = workbook.getElementsByTagName('sheet')[0]?.getAttribute('r:id');
+  const target = rels && Array.from(rels.getElementsByTagName('Relationship')).find(r => r.getAttribute('Id') === firstId)?.getAttribute('Target');
+  const sheet = await read(target ? `xl/${target.replace(/^\/?xl\//, '')}` : 'xl/worksheets/sheet1.xml');
+  if (!sheet) throw new Error(tr('no se encontró la hoja'));
+  const shared = Array.from((await read('xl/sharedStrings.xml'))?.getElementsByTagName('si') || [], si => si.textContent);
+
+  // Estilos con formato de fecha: los incorporados 14–22 y los propios que usan d, m o y
+  const styles = await read('xl/styles.xml');
+  const custom = new Map(Array.from(styles?.getElementsByTagName('numFmt') || [], f => [f.getAttribute('numFmtId'), f.getAttribute('formatCode')]));
+  const isDateFmt = (id) => (id >= 14 && id <= 22) || /[dmy]/i.test((custom.get(String(id)) || '').replace(/"[^"]*"|\[[^\]]*\]/g, ''));
+  const xfs = styles?.getElementsByTagName('cellXfs')[0];
+  const dateStyles = Array.from(xfs?.getElementsByTagName('xf') || [], xf => isDateFmt(Number(xf.getAttribute('numFmtId'))));
+  // Serial de Excel: días desde el 30-12-1899
+  const serialDate = (n) => new Date(Date.UTC(1899, 11, 30) + Math.round(n * 86400) * 1000).toISOString().slice(0, 10);
+
+  const colIndex = (ref) => [...ref.replace(/\d+$/, '')].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+  return Array.from(sheet.getElementsByTagName('row'), row => {
+    const out = [];
+    for (const c of row.getElementsByTagName('c')) {
+      const type = c.getAttribute('t');
+      const v = c.getElementsByTagName('v')[0]?.textContent ?? '';
+      let value;
+      if (type === 's') value = shared[Number(v)] ?? '';
+      else if (type === 'inlineStr') value = c.getElementsByTagName('is')[0]?.textContent ?? '';
+      else if ((!type || type === 'n') && v !== '') value = dateStyles[Number(c.getAttribute('s') || 0)] ? serialDate(Number(v)) : v.replace('.', ',');
+      else value = v;
+      out[c.hasAttribute('r') ? colIndex(c.getAttribute('r')) : out.length] = value;
+    }
+    return Array.from(out, v => v ?? '');
+  });
+}
+
+function parseBankTable(rows, profile) {
+  const aliases = {};
+  for (const [k, list] of Object.entries(BANK_COLUMNS)) aliases[k] = [...(profile.columns?.[k] || []), ...list];
+  const norm = (s) => String(s || '').trim().toLowerCase();
+  const find = (header, key) => header.findIndex(h => aliases[key].includes(norm(h)));
+
+  const headerIdx = rows.findIndex(r => find(r, 'date') >= 0 && (find(r, 'debit') >= 0 || find(r, 'credit') >= 0 || find(r, 'amount') >= 0));
+  if (headerIdx < 0) return [];
+  const header = rows[headerIdx];
+  const col = Object.fromEntries(Object.keys(BANK_COLUMNS).map(k => [k, find(header, k)]));
+
+  const out = [];
+  for (const r of rows.slice(headerIdx + 1)) {
+    const date = parseFlexibleDate(r[col.date]);
+    if (!date) continue; // totales, saldos iniciales, líneas en blanco
+    let amount;
+    if (col.debit >= 0 || col.credit >= 0) {
+      const debit = Math.abs(parseLocaleAmount(r[col.debit]) || 0);
+      const credit = Math.abs(parseLocaleAmount(r[col.credit]) || 0);
+      amount = credit - debit;
+    } else {
+      amount = parseLocaleAmount(r[col.amount]) || 0;
+    }
+    if (!amount) continue;
+    const description = String(r[col.description] ?? '').replace(/\s+/g, ' ').trim();
+    const doc = col.doc >= 0 ? String(r[col.doc] ?? '').trim() : '';
+    const balance = col.balance >= 0 ? String(r[col.balance] ?? '').trim() : '';
+    // Sin número de documento, la referencia se arma con los datos del movimiento y el saldo
+    out.push({ date, description, amount, ref: doc ? `doc:${doc}` : `${date}|${amount}|${description}|${balance}` });
+  }
+  return out;
+}
+
+let bankImport = null;
+
+async function onBankFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  const buf = await file.arrayBuffer();
+  const head = new Uint8Array(buf, 0, Math.min(4, buf.byteLength));
+  if (head[0] === 0xD0 && head[1] === 0xCF) {
+    showAlert(tr('Los .xls del formato antiguo de Excel no se pueden leer. Ábrelo y guárdalo como XLSX o CSV para importarlo.'));
+    return;
+  }
+  let text, rows = null;
+  if (head[0] === 0x50 && head[1] === 0x4B) {
+    try {
+      rows = await xlsxRows(buf);
+    } catch (err) {
+      showAlert(tr('No se pudo leer la planilla: {error}', { error: err.message }));
+      return;
+    }
+    text = rows.map(r => r.join(';')).join('\n');
+  } else {
+    text = new TextDecoder('utf-8').decode(buf);
+    // Las cartolas antiguas suelen venir en Latin-1
+    if (text.includes('\uFFFD')) text = new TextDecoder('windows-1252').decode(buf);
+  }
+
+  // El índice by_bankRef solo contiene las transacciones que vinieron de una cartola
+  const imported = new Set((await dbp.getAllByIndex('transactions', 'by_bankRef')).map(t => t.bankRef));
+  bankImport = { fileName: file.name, text, rows, profileId: detectBankProfile(text), movements: [], imported };
+  const sel = $('#bankProfile');
+  sel.innerHTML = '';
+  for (const p of BANK_PROFILES) {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = tr(p.name);
+    sel.appendChild(opt);
+  }
+  sel.value = bankImport.profileId;
+  // La cartola se asigna por defecto a la primera cuenta bancaria
+  $('#bankAccount').value = (state.accounts.find(a => a.kind === 'checking') || state.accounts[0]).id;
+  $('#bankFileName').textContent = file.name;
+  state.bankRules = await dbp.getAll('bankRules');
+  parseBankImport();
+  renderBankPreview();
+  $('#bankDialog').showModal();
+}
+
+function parseBankImport() {
+  const profile = bankProfile(bankImport.profileId);
+  const { text, rows } = bankImport;
+  const movements = profile.kind === 'ofx'
+    ? parseOFX(text)
+    : parseBankTable(rows || (/<table/i.test(text) ? htmlTableRows(text) : parseCSV(text)), profile);
+  const { imported } = bankImport;
+  bankImport.movements = movements.map(m => {
+    const bankRef = `${profile.id}:${m.ref}`;
+    return { ...m, bankRef, already: imported.has(bankRef), include: !imported.has(bankRef) };
+  });
+}
+
+function applyBankRules(bankId, description) {
+  const d = description.toLowerCase();
+  const rule = (state.bankRules || []).find(r => r.bankId === bankId && d.includes(r.contains.toLowerCase()));
+  return rule ? { name: rule.name, categoryId: rule.categoryId ?? null } : { name: description, categoryId: null };
+}
+
+function renderBankPreview() {
+  const { movements, profileId } = bankImport;
+  const fresh = movements.filter(m => !m.already).length;
+  $('#bankSummary').textContent = movements.length
+    ? tr('{n} movimientos · {fresh} nuevos · {old} ya importados', { n: movements.length, fresh, old: movements.length - fresh })
+    : tr('No se reconocieron movimientos con este perfil.');
+
+  const tbody = $('#bankPreview tbody');
+  tbody.innerHTML = '';
+  movements.forEach((m, i) => {
+    const { name } = applyBankRules(profileId, m.description);
+    const row = document.createElement('tr');
+    if (m.already) row.className = 'duplicate';
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = m.include;
+    check.setAttribute('aria-label', tr('Incluir {name}', { name: m.description }));
+    check.addEventListener('change', () => { bankImport.movements[i].include = check.checked; });
+    const first = document.createElement('td');
+    first.appendChild(check);
+    row.appendChild(first);
+    for (const v of [formatDate(m.date), tr(m.amount < 0 ? 'Gasto' : 'Ingreso'), name, fmt(Math.abs(m.amount)), m.already ? tr('Ya importado') : '']) {
+      const td = document.createElement('td');
+      td.textContent = v;
+      if (v === name && name !== m.description) td.title = m.description;
+      row.appendChild(td);
+    }
+    tbody.appendChild(row);
+  });
+  renderBankRules();
+}
+
+function renderBankRules() {
+  const ul = $('#bankRuleList');
+  ul.innerHTML = '';
+  const rules = (state.bankRules || []).filter(r => r.bankId === bankImport.profileId);
+  if (!rules.length) ul.innerHTML = `<li class="muted">${tr('Sin reglas para este banco.')}</li>`;
+  for (const r of rules) {
+    const li = document.createElement('li');
+    const k = document.createElement('span');
+    k.className = 'k';
+    k.textContent = tr('contiene "{text}" → {name}', { text: r.contains, name: r.name });
+    li.append(k, iconButton('✕', tr('Eliminar regla'), () => deleteBankRule(r.id)));
+    ul.appendChild(li);
+  }
+}
+
+async function addBankRule(ev) {
+  ev.preventDefault();
+  const contains = $('#bankRuleContains').value.trim();
+  const name = $('#bankRuleName').value.trim();
+  if (!contains || !name) return;
+  const rule = { bankId: bankImport.profileId, contains, name, categoryId: $('#bankRuleCategory').value ? Number($('#bankRuleCategory').value) : null, created: Date.now() };
+  rule.id = await dbp.add('bankRules', rule);
+  state.bankRules.push(rule);
+  $('#bankRuleContains').value = '';
+  $('#bankRuleName').value = '';
+  renderBankPreview();
+}
+
+async function deleteBankRule(id) {
+  await dbp.delete('bankRules', id);
+  state.bankRules = state.bankRules.filter(r => r.id !== id);
+  renderBankPreview();
+}
+
+// Cargos → gasto, abonos → ingreso; `bankRef` evita reimportar el mismo movimiento
+async function importBankMovements(ev) {
+  ev.preventDefault();
+  if (!bankImport) return;
+  let added = 0;
+  for (const m of bankImport.movements) {
+    if (!m.include || m.already) continue;
+    const { name, categoryId } = applyBankRules(bankImport.profileId, m.description);
+    const t = {
+      type: m.amount < 0 ? 'expense' : 'income',
+      name: name || tr('Movimiento bancario'),
+      amount: roundMoney(Math.abs(m.amount)),
+      date: m.date,
+      categoryId,
+      tags: [],
+      attachments: [],
+      accountId: Number($('#bankAccount').value),
+      bankRef: m.bankRef,
+      bankDescription: m.description,
+      created: Date.now(),
+    };
+    t.id = await dbp.add('transactions', t);
+    await logChange('create', null, t, 'bank');
+    added++;
+  }
+  bankImport = null;
+  $('#bankDialog').close();
+  await loadAll();
+  showAlert(tr('Cartola: {n} movimientos importados.', { n: added }));
+}
+
+// ---------- Respaldo y restauración ----------
+// Un único archivo JSON con todos los stores, los adjuntos en base64 y un checksum SHA-256
+// calculado sobre el contenido (sin el propio campo `checksum`).
+const BACKUP_FORMAT = 'gastos-lpaz-backup';
+// Subir con cada cambio de formato y agregar el paso correspondiente en migrateBackup.
+// 1: sin uid ni `updated`; según la fecha, también sin cuentas, compras en cuotas ni personas.
+// 2: registros sincronizables con uid, `updated` y `updatedBy`.
+const BACKUP_SCHEMA = 2;
+// Orden de escritura al fusionar: cada store puede referenciar ids de los anteriores
+const BACKUP_STORES = ['attachments', 'categories', 'accounts', 'people', 'recurring', 'purchases', 'budgets', 'bankRules', 'rates', 'indicators', 'transactions', 'meta'];
+// Propios de este dispositivo (sincronización y clave): no se copian a otro ni se pisan al restaurar
+const LOCAL_META = ['sync', 'lock'];
+
+function blobToBase64(blob) {
+  return new Promise((res, rej) => {
+    const r = new FileReader();
+    r.onload = () => res(String(r.result).split(',')[1] || '');
+    r.onerror = () => rej(r.error);
+    r.readAsDataURL(blob);
+  });
+}
+
+function base64ToBlob(b64, type) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type: type || 'application/octet-stream' });
+}
+
+async function sha256(text) {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function createBackup() {
+  const info = dbp.info();
+  const stores = {};
+  for (const name of info.stores) {
+    let rows = await dbp.getAll(name);
+    if (name === 'meta') rows = rows.filter(m => !LOCAL_META.includes(m.key));
+    stores[name] = name === 'attachments'
+      // Las miniaturas no se respaldan: se regeneran al mostrarlas (attachmentThumb)
+      ? await Promise.all(rows.map(async ({ blob, thumb, ...rest }) => ({ ...rest, size: blob?.size ?? 0, data: blob ? await blobToBase64(blob) : '' })))
+      : rows;
+  }
+  const payload = { format: BACKUP_FORMAT, schemaVersion: BACKUP_SCHEMA, dbVersion: info.version, created: new Date().toISOString(), stores };
+  const checksum = await sha256(JSON.stringify(payload));
+  const file = JSON.stringify({ checksum, payload });
+  downloadBlob(new Blob([file], { type: 'application/json' }), `respaldo-gastos-${todayStr()}.json`);
+  await dbp.put('meta', { key: 'lastBackup', value: Date.now() });
+}
+
+let pendingRestore = null;
+
+// Valida formato, versión y checksum antes de mostrar qué se va a sobrescribir
+async function onBackupFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  try {
+    const parsed = JSON.parse(await file.text());
+    if (!parsed?.payload || parsed.payload.format !== BACKUP_FORMAT) throw new Error(tr('no es un respaldo de esta app'));
+    if (parsed.payload.schemaVersion > BACKUP_SCHEMA) throw new Error(tr('el respaldo es de una versión más nueva'));
+    if (await sha256(JSON.stringify(parsed.payload)) !== parsed.checksum) throw new Error(tr('el checksum no coincide (archivo dañado)'));
+    if (typeof parsed.payload.stores !== 'object') throw new Error(tr('faltan datos'));
+    pendingRestore = migrateBackup(parsed.payload);
+  } catch (err) {
+    showAlert(tr('No se pudo leer el respaldo: {error}', { error: err.message }));
+    return;
+  }
+
+  const ul = $('#restoreSummary');
+  ul.innerHTML = '';
+  const labels = { transactions: 'Transacciones', attachments: 'Adjuntos', categories: 'Categorías', accounts: 'Cuentas', people: 'Personas', recurring: 'Recurrentes', purchases: 'Compras en cuotas', budgets: 'Presupuestos', bankRules: 'Reglas de cartola', rates: 'Valores de monedas', indicators: 'Historial de índices', meta: 'Ajustes' };
+  for (const name of BACKUP_STORES) {
+    const current = (await dbp.getAll(name)).length;
+    addInfo(ul, tr(labels[name]), pendingRestore.stores[name]
+      ? tr('{incoming} en el respaldo · {current} actuales', { incoming: pendingRestore.stores[name].length, current })
+      : tr('No viene en el respaldo · se conservan los {current} actuales', { current }));
+  }
+  $('#restoreCreated').textContent = tr('Respaldo del {date}', { date: new Date(pendingRestore.created).toLocaleString(settings.locale) });
+  $('#restoreMode').value = 'merge';
+  $('#restoreDialog').showModal();
+}
+
+// Lleva un respaldo de un esquema anterior al actual. Los stores que no trae quedan fuera de
+// `stores` y no se tocan al restaurar.
+function migrateBackup(payload) {
+  const { stores } = payload;
+  if (payload.schemaVersion < 2) {
+    // Igual que al actualizar la base (ver dbp.open): sin uid no se podrían sincronizar
+    for (const name of SYNC_STORES) {
+      stores[name] &&= stores[name].map(row => ({ ...row, uid: row.uid || seedUid(name, row) || crypto.randomUUID(), updated: row.updated || row.created || Date.now(), updatedBy: row.updatedBy ?? null }));
+    }
+  }
+  return { ...payload, schemaVersion: BACKUP_SCHEMA };
+}
+
+function decodeAttachments(rows = []) {
+  return rows.map(({ data, size, ...rest }) => ({ ...rest, blob: base64ToBlob(data, rest.type) }));
+}
+
+async function restoreBackup(ev) {
+  ev.preventDefault();
+  if (!pendingRestore) return;
+  const stores = { ...pendingRestore.stores };
+  if (stores.attachments) stores.attachments = decodeAttachments(stores.attachments);
+  const known = BACKUP_STORES.filter(n => dbp.info().stores.includes(n) && stores[n]);
+  try {
+    // El historial y la papelera no van en el respaldo: al reemplazar se vacían (sus ids ya no aplican)
+    if ($('#restoreMode').value === 'replace') await restoreReplace(stores, [...known, 'history', 'trash']);
+    else await restoreMerge(stores, known);
+  } catch (err) {
+    showAlert(tr('La restauración falló: {error}', { error: err?.message || err }));
+    return;
+  } finally {
+    pendingRestore = null;
+    $('#restoreDialog').close();
+  }
+  // Los ajustes viajan en `meta`: la moneda base y las quincenas pueden haber cambiado
+  await loadSettings();
+  await loadAll();
+  showAlert(tr('Respaldo restaurado.'));
+}
+
+// Reemplazar: todo en una sola transacción; los ids originales se conservan, así que los
+// `storeId` de los adjuntos siguen siendo válidos.
+async function restoreReplace(stores, names) {
+  // Se cifra antes: la transacción no puede esperar a WebCrypto
+  const rows = {};
+  for (const name of names) rows[name] = await Promise.all((stores[name] || []).map(row => sealRecord(name, row)));
+  rows.meta = [
+    ...(rows.meta || []).filter(m => !LOCAL_META.includes(m.key)),
+    ...(await dbp.getAll('meta')).filter(m => LOCAL_META.includes(m.key)),
+  ];
+  return new Promise((res, rej) => {
+    const t = dbp.tx(names, 'readwrite');
+    for (const name of names) {
+      const os = t.objectStore(name);
+      os.clear();
+      for (const row of rows[name]) os.put(row);
+    }
+    t.oncomplete = () => res();
+    t.onerror = () => rej(t.error);
+    t.onabort = () => rej(t.error);
+  });
+}
+
+// Fusionar: un registro con el mismo id y `created` se considera el mismo y se conserva el actual;
+// el resto se agrega con id nuevo y se remapean las referencias (storeId, categoryId, recurringId).
+async function restoreMerge(stores, names) {
+  const maps = { attachments: new Map(), categories: new Map(), accounts: new Map(), people: new Map(), recurring: new Map(), purchases: new Map() };
+  // Una persona que no viene en el respaldo no puede quedar en null (eso es "Tú"): se crea una en su lugar
+  const person = async (id) => {
+    if (id == null) return null;
+    if (!maps.people.has(id)) {
+      const name = tr('Persona {n} del respaldo', { n: id });
+      const found = (await dbp.getAll('people')).find(p => p.name === name);
+      maps.people.set(id, found ? found.id : await dbp.add('people', { name, created: Date.now() }));
+    }
+    return maps.people.get(id);
+  };
+  for (const name of names) {
+    const current = await dbp.getAll(name);
+    for (const row of stores[name] || []) {
+      if (name === 'meta' || name === 'rates' || name === 'indicators') {
+        if (name === 'meta' && LOCAL_META.includes(row.key)) continue;
+        const key = name === 'rates' ? 'date' : 'key';
+        if (!current.some(m => m[key] === row[key])) await dbp.put(name, row);
+        continue;
+      }
+      const same = current.find(c => c.id === row.id && c.created === row.created)
+        || (['categories', 'accounts', 'people'].includes(name) && current.find(c => c.name.toLowerCase() === row.name.toLowerCase()));
+      if (same) { maps[name]?.set(row.id, same.id); continue; }
+
+      // Sin uid: lo fusionado es un registro nuevo (stampRecord le asigna uno)
+      const { id, uid, ...rest } = row;
+      if ('categoryId' in rest && rest.categoryId != null) rest.categoryId = maps.categories.get(rest.categoryId) ?? null;
+      if (rest.recurringId != null) rest.recurringId = maps.recurring.get(rest.recurringId) ?? null;
+      if (rest.purchaseId != null) rest.purchaseId = maps.purchases.get(rest.purchaseId) ?? null;
+      if (rest.accountId != null) rest.accountId = maps.accounts.get(rest.accountId) ?? null;
+      if (rest.toAccountId != null) rest.toAccountId = maps.accounts.get(rest.toAccountId) ?? null;
+      if (rest.settle) rest.settle = { personId: await person(rest.settle.personId) };
+      if (rest.split) {
+        const shares = [];
+        for (const s of rest.split.shares) shares.push({ ...s, personId: await person(s.personId) });
+        rest.split = { ...rest.split, paidBy: await person(rest.split.paidBy), shares };
+      }
+      if (rest.attachments) {
+        rest.attachments = rest.attachments
+          .map(a => ({ ...a, storeId: maps.attachments.get(a.storeId) }))
+          .filter(a => a.storeId != null);
+      }
+      const newId = await dbp.add(name, rest);
+      maps[name]?.set(id, newId);
+    }
+  }
+}
+
+// ---------- Sincronización entre dispositivos ----------
+// Opcional. Cada registro sincronizado tiene `uid` (estable entre dispositivos), `updated` y
+// `updatedBy` (dispositivo); las bajas dejan una lápida en `tombstones`. Un cambio es
+// { store, uid, updated, updatedBy, deleted?, data? } y en `data` las referencias a otros stores
+// van como uid (ver mapRefs). Los conflictos se resuelven por registro: gana el `updated` mayor y,
+// si empatan, el `updatedBy` mayor, así todos los dispositivos llegan al mismo resultado.
+// Los archivos de los adjuntos viajan aparte y solo cuando el otro lado no los tiene.
+//
+// Un adaptador implementa: pull(cursor) → { changes, cursor }, push(changes),
+// hasBlob(uid), putBlob(uid, blob) y getBlob(uid). El servidor debe permitir CORS.
+
+// En orden de dependencias: al recibir, lo referenciado se aplica antes
+const SYNC_STORES = ['people', 'categories', 'accounts', 'attachments', 'recurring', 'purchases', 'budgets', 'bankRules', 'transactions'];
+const SYNC_REFS = { categoryId: 'categories', accountId: 'accounts', toAccountId: 'accounts', recurringId: 'recurring', purchaseId: 'purchases' };
+const SYNC_INTERVAL = 5 * 60 * 1000;
+
+let sync = { device: null, config: { kind: '' }, cursor: null, pushedAt: 0, lastSync: null, lastError: null };
+let syncing = null; // sincronización en curso: quien llama mientras tanto espera esa misma
+
+// Llamada desde dbp.add/put: toda escritura local es un cambio de este dispositivo
+function stampRecord(store, value) {
+  if (!SYNC_STORES.includes(store)) return;
+  value.uid ||= crypto.randomUUID();
+  value.updated = Date.now();
+  value.updatedBy = sync.device;
+}
+
+// Las categorías y cuentas iniciales se crean en cada dispositivo: con el mismo uid se fusionan
+function seedUid(store, row) {
+  if (store === 'categories' && row.builtin) return `categoria:${row.name}`;
+  if (store === 'accounts' && DEFAULT_ACCOUNTS.some(a => a.name === row.name)) return `cuenta:${row.name}`;
+  return null;
+}
+
+function tombstone(store, uid) {
+  return { key: `${store}:${uid}`, store, uid, deleted: true, updated: Date.now(), updatedBy: sync.device };
+}
+
+const isNewer = (a, b) => a.updated !== b.updated ? a.updated > b.updated : String(a.updatedBy ?? '') > String(b.updatedBy ?? '');
+
+function mapRefs(row, map) {
+  const out = { ...row };
+  const ref = (store, v) => v == null ? null : map(store, v);
+  for (const [field, store] of Object.entries(SYNC_REFS)) if (out[field] != null) out[field] = ref(store, out[field]);
+  if (out.attachments) {
+    out.attachments = out.attachments.map(a => ({ ...a, storeId: ref('attachments', a.storeId) })).filter(a => a.storeId != null);
+  }
+  if (out.split) out.split = { ...out.split, paidBy: ref('people', out.split.paidBy), shares: out.split.shares.map(s => ({ ...s, personId: ref('people', s.personId) })) };
+  if (out.settle) out.settle = { personId: ref('people', out.settle.personId) };
+  return out;
+}
+
+// id local ↔ uid de los stores que se referencian
+async function loadRefMaps() {
+  const refs = {};
+  for (const store of new Set([...Object.values(SYNC_REFS), 'attachments', 'people'])) {
+    const pairs = await dbp.indexKeys(store, 'by_uid');
+    refs[store] = { toUid: new Map(pairs), toId: new Map(pairs.map(([id, uid]) => [uid, id])) };
+  }
+  return refs;
+}
+
+function txDone(t) {
+  return new Promise((res, rej) => {
+    t.oncomplete = () => res();
+    t.onerror = () => rej(t.error);
+    t.onabort = () => rej(t.error);
+  });
+}
+
+// Escritura sin stampRecord: conserva la versión recibida (sí se cifra)
+async function rawPut(store, value) {
+  const row = await sealRecord(store, value);
+  const t = dbp.tx([store], 'readwrite');
+  t.objectStore(store).put(row);
+  return txDone(t);
+}
+
+async function localChanges(since, until, refs) {
+  const changes = [];
+  const range = IDBKeyRange.bound(since, until, true, false);
+  for (const store of SYNC_STORES) {
+    for (const row of await dbp.getAllByIndex(store, 'by_updated', range)) {
+      // Lo recibido de otro dispositivo no se devuelve
+      if (row.updatedBy != null && row.updatedBy !== sync.device) continue;
+      const { id, blob, thumb, ...rest } = row;
+      const data = mapRefs(rest, (s, v) => refs[s].toUid.get(v) ?? null);
+      changes.push({ store, uid: row.uid, updated: row.updated, updatedBy: sync.device, data });
+    }
+  }
+  for (const t of await dbp.getAll('tombstones')) {
+    if (t.updated > since && t.updated <= until && t.updatedBy === sync.device) {
+      changes.push({ store: t.store, uid: t.uid, updated: t.updated, updatedBy: t.updatedBy, deleted: true });
+    }
+  }
+  return changes;
+}
+
+async function applyRemote(changes, refs) {
+  // Solo la versión más nueva de cada registro
+  const latest = new Map();
+  for (const c of changes) {
+    if (c.updatedBy === sync.device || !SYNC_STORES.includes(c.store)) continue;
+    const k = `${c.store}:${c.uid}`;
+    if (!latest.has(k) || isNewer(c, latest.get(k))) latest.set(k, c);
+  }
+  let applied = 0;
+  for (const store of SYNC_STORES) {
+    for (const c of latest.values()) {
+      if (c.store === store && await applyChange(c, refs)) applied++;
+    }
+  }
+  return applied;
+}
+
+async function applyChange(c, refs) {
+  const key = `${c.store}:${c.uid}`;
+  const [local] = await dbp.getAllByIndex(c.store, 'by_uid', IDBKeyRange.only(c.uid));
+  const current = local || await dbp.get('tombstones', key);
+  if (current && !isNewer(c, current)) return false;
+
+  let row = null;
+  if (!c.deleted) {
+    row = mapRefs(c.data, (s, uid) => refs[s].toId.get(uid) ?? null);
+    Object.assign(row, { uid: c.uid, updated: c.updated, updatedBy: c.updatedBy });
+    if (local) row.id = local.id;
+    // El archivo se descarga después (downloadBlobs); la miniatura se regenera al mostrarla
+    if (c.store === 'attachments') Object.assign(row, { blob: local?.blob ?? null, thumb: local?.thumb ?? null });
+    row = await sealRecord(c.store, row);
+  }
+  const t = dbp.tx([c.store, 'tombstones'], 'readwrite');
+  const map = refs[c.store];
+  if (c.deleted) {
+    t.objectStore('tombstones').put({ key, store: c.store, uid: c.uid, deleted: true, updated: c.updated, updatedBy: c.updatedBy });
+    if (local) t.objectStore(c.store).delete(local.id);
+    if (local && map) { map.toId.delete(c.uid); map.toUid.delete(local.id); }
+  } else {
+    t.objectStore('tombstones').delete(key);
+    const req = t.objectStore(c.store).put(row);
+    req.onsuccess = () => { if (map) { map.toId.set(c.uid, req.result); map.toUid.set(req.result, c.uid); } };
+  }
+  await txDone(t);
+  return true;
+}
+
+async function uploadBlobs(adapter, changes) {
+  for (const c of changes) {
+    if (c.store !== 'attachments' || c.deleted || await adapter.hasBlob(c.uid)) continue;
+    const [at] = await dbp.getAllByIndex('attachments', 'by_uid', IDBKeyRange.only(c.uid));
+    if (at?.blob) await adapter.putBlob(c.uid, at.blob);
+  }
+}
+
+// Los que fallen quedan sin archivo y se reintentan en la próxima sincronización
+async function downloadBlobs(adapter) {
+  const missing = [];
+  await dbp.each('attachments', (at) => { if (!at.blob) missing.push(at.id); });
+  for (const id of missing) {
+    const at = await dbp.get('attachments', id);
+    await rawPut('attachments', { ...at, blob: await adapter.getBlob(at.uid) });
+  }
+}
+
+// REST propio, p. ej. un servidor local:
+//   GET  {url}/changes?since=<cursor> → { changes, cursor }
+//   POST {url}/changes  { device, changes }
+//   HEAD | GET | PUT {url}/blobs/<uid>
+function restAdapter({ url, token }) {
+  const base = url.replace(/\/+$/, '');
+  const request = async (path, opts = {}) => {
+    const headers = { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...opts.headers };
+    const res = await fetch(base + path, { ...opts, headers });
+    if (!res.ok && !(opts.method === 'HEAD' && res.status === 404)) throw new Error(`${opts.method || 'GET'} ${path}: HTTP ${res.status}`);
+    return res;
+  };
+  return {
+    pull: async (cursor) => (await request(`/changes?since=${encodeURIComponent(cursor ?? '')}`)).json(),
+    push: (changes) => request('/changes', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ device: sync.device, changes }),
+    }),
+    hasBlob: async (uid) => (await request(`/blobs/${uid}`, { method: 'HEAD' })).ok,
+    putBlob: (uid, blob) => request(`/blobs/${uid}`, { method: 'PUT', headers: { 'Content-Type': blob.type || 'application/octet-stream' }, body: blob }),
+    getBlob: async (uid) => (await request(`/blobs/${uid}`)).blob(),
+  };
+}
+
+// WebDAV (Nextcloud, rclone serve webdav, Apache mod_dav…): cada dispositivo escribe sus cambios en
+// changes/<dispositivo>/<timestamp>.json y el cursor guarda el último archivo leído de cada uno.
+function webdavAdapter({ url, user, password }) {
+  const base = url.replace(/\/+$/, '');
+  const auth = user ? { Authorization: 'Basic ' + btoa(unescape(encodeURIComponent(`${user}:${password || ''}`))) } : {};
+  const request = async (path, opts = {}, ok = []) => {
+    const res = await fetch(base + path, { ...opts, headers: { ...auth, ...opts.headers } });
+    if (!res.ok && !ok.includes(res.status)) throw new Error(`${opts.method || 'GET'} ${path}: HTTP ${res.status}`);
+    return res;
+  };
+  const mkcol = (path) => request(path, { method: 'MKCOL' }, [405]); // 405: ya existe
+  // Nombres dentro de una carpeta (PROPFIND con Depth: 1)
+  const list = async (path) => {
+    const res = await request(path, { method: 'PROPFIND', headers: { Depth: '1' } }, [404]);
+    if (res.status === 404) return [];
+    const doc = new DOMParser().parseFromString(await res.text(), 'application/xml');
+    return Array.from(doc.getElementsByTagNameNS('DAV:', 'href'))
+      .map(h => decodeURIComponent(h.textContent).replace(/\/+$/, '').split('/').pop())
+      .filter(name => name && !path.replace(/\/+$/, '').endsWith('/' + name));
+  };
+  return {
+    async pull(cursor) {
+      const next = { ...(cursor || {}) };
+      const changes = [];
+      for (const device of await list('/changes/')) {
+        if (device === sync.device) continue;
+        const files = (await list(`/changes/${device}/`))
+          .map(n => parseInt(n, 10)).filter(n => n > (next[device] || 0)).sort((a, b) => a - b);
+        for (const n of files) {
+          changes.push(...(await (await request(`/changes/${device}/${n}.json`)).json()).changes);
+          next[device] = n;
+        }
+      }
+      return { changes, cursor: next };
+    },
+    async push(changes) {
+      await mkcol('/changes/');
+      await mkcol(`/changes/${sync.device}/`);
+      await request(`/changes/${sync.device}/${Date.now()}.json`, {
+        method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ device: sync.device, changes }),
+      });
+    },
+    hasBlob: async (uid) => (await request(`/blobs/${uid}`, { method: 'HEAD' }, [404])).ok,
+    async putBlob(uid, blob) {
+      await mkcol('/blobs/');
+      await request(`/blobs/${uid}`, { method: 'PUT', body: blob });
+    },
+    getBlob: async (uid) => (await request(`/blobs/${uid}`)).blob(),
+  };
+}
+
+// Para agregar otro backend basta con una entrada que cumpla la misma interfaz
+const SYNC_ADAPTERS = { webdav: webdavAdapter, rest: restAdapter };
+
+async function loadSyncState() {
+  Object.assign(sync, (await dbp.get('meta', 'sync'))?.value);
+  if (!sync.device) {
+    sync.device = crypto.randomUUID();
+    await saveSyncState();
+  }
+}
+
+function saveSyncState() {
+  return dbp.put('meta', { key: 'sync', value: { ...sync } });
+}
+
+function runSync() {
+  const make = SYNC_ADAPTERS[sync.config.kind];
+  if (!make || !sync.config.url || vault.busy) return Promise.resolve();
+  if (!syncing) {
+    syncing = syncOnce(make).finally(() => { syncing = null; renderSyncStatus(); });
+    renderSyncStatus();
+  }
+  return syncing;
+}
+
+async function syncOnce(make) {
+  try {
+    const adapter = make(sync.config);
+    const refs = await loadRefMaps();
+    // Primero se recibe: lo local que pierde un conflicto ya no se envía
+    const pulled = await adapter.pull(sync.cursor);
+    const applied = await applyRemote(pulled.changes || [], refs);
+    const until = Date.now();
+    const changes = await localChanges(sync.pushedAt || 0, until, refs);
+    // Los archivos antes que los registros que los referencian
+    await uploadBlobs(adapter, changes);
+    if (changes.length) await adapter.push(changes);
+    await downloadBlobs(adapter);
+    Object.assign(sync, { cursor: pulled.cursor, pushedAt: until, lastSync: Date.now(), lastError: null });
+    if (applied) await loadAll();
+  } catch (err) {
+    sync.lastError = err?.message || String(err);
+  } finally {
+    await saveSyncState();
+  }
+}
+
+// Primero se recibe: las lápidas de otros dispositivos tienen que estar antes de generar
+// (ver occurrenceTaken). Lo generado se envía en una segunda pasada.
+async function catchUp() {
+  await runSync();
+  const created = await materializeRecurring() + await materializeInstallments();
+  if (created) {
+    await loadAll();
+    runSync();
+  }
+}
+
+function renderSyncStatus() {
+  const last = sync.lastSync ? new Date(sync.lastSync) : null;
+  const when = !last ? tr('nunca')
+    : isoDate(last) === todayStr() ? last.toLocaleTimeString(settings.locale, { hour: '2-digit', minute: '2-digit' })
+    : last.toLocaleString(settings.locale, { dateStyle: 'short', timeStyle: 'short' });
+  const status = !sync.config.kind ? ''
+    : syncing ? tr('Sincronizando…')
+    : sync.lastError ? tr('Error al sincronizar')
+    : last ? tr('Sincronizado {when}', { when }) : tr('Sin sincronizar');
+  $('#syncStatus').textContent = status;
+  $('#syncStatus').classList.toggle('negative', !!sync.lastError && !syncing);
+  $('#syncBtn').title = sync.lastError || tr('Última sincronización: {when}', { when });
+
+  const ul = $('#syncInfo');
+  ul.innerHTML = '';
+  addInfo(ul, tr('Este dispositivo'), sync.device?.slice(0, 8) || '—');
+  addInfo(ul, tr('Última sincronización'), when);
+  addInfo(ul, tr('Estado'), sync.lastError ? tr('Error: {error}', { error: sync.lastError }) : status || tr('Desactivada'));
+}
+
+function openSyncDialog() {
+  const c = sync.config;
+  $('#syncKind').value = c.kind || '';
+  $('#syncUrl').value = c.url || '';
+  $('#syncUser').value = c.user || '';
+  $('#syncPassword').value = c.password || '';
+  $('#syncToken').value = c.token || '';
+  syncSyncFields();
+  renderSyncStatus();
+  $('#syncDialog').showModal();
+}
+
+function syncSyncFields() {
+  const kind = $('#syncKind').value;
+  $('#syncUrlRow').classList.toggle('hidden', !kind);
+  $('#syncAuthRow').classList.toggle('hidden', kind !== 'webdav');
+  $('#syncTokenRow').classList.toggle('hidden', kind !== 'rest');
+  $('#syncNowBtn').disabled = !kind;
+}
+
+async function saveSyncConfig(ev) {
+  ev.preventDefault();
+  const kind = $('#syncKind').value;
+  const url = $('#syncUrl').value.trim();
+  if (kind && !/^https?:\/\//i.test(url)) return showAlert(tr('Ingresa la URL del servidor (http:// o https://).'));
+  const changed = kind !== sync.config.kind || url !== sync.config.url;
+  sync.config = kind ? { kind, url, user: $('#syncUser').value.trim(), password: $('#syncPassword').value, token: $('#syncToken').value.trim() } : { kind: '' };
+  // Otro servidor: se recibe todo desde el principio y se envía todo lo local
+  if (changed) Object.assign(sync, { cursor: null, pushedAt: 0, lastSync: null, lastError: null });
+  await saveSyncState();
+  renderSyncStatus();
+  await runSync();
+}
+
+// ---------- Bloqueo y cifrado ----------
+// Opcional. Con clave, las transacciones (y sus copias en historial y papelera), las cuentas, las
+// reglas recurrentes, las compras en cuotas y los adjuntos se guardan cifrados con AES-GCM: lo que
+// usan los índices y la sincronización queda en claro y el resto va en `sealed` ({ kid, iv, data,
+// blobs }). Los índices que identifican un movimiento (`bankRef` lleva fecha, monto y saldo de la
+// cartola; `dteKey`, RUT y folio) guardan un HMAC del valor en vez del valor (ver indexValue).
+// La clave de datos es aleatoria; en meta 'lock' se guarda envuelta con una clave derivada de la
+// frase (PBKDF2) y solo vive en memoria mientras la app está desbloqueada.
+//
+// Cambiar la frase crea una clave de datos nueva: primero se guardan ambas envueltas con la frase
+// nueva y después se recifra registro por registro (`kid` indica con cuál va cada uno), así que si
+// se corta a medio camino se termina al desbloquear (`rekey`). Quitar la clave es lo mismo con
+// `current` en null: todo vuelve a quedar en claro y se borra meta 'lock'.
+
+const SEALED_FIELDS = {
+  transactions: ['id', 'date', 'type', 'categoryId', 'recurringId', 'uid', 'updated', 'updatedBy'],
+  history: ['id', 'txId', 'at'],
+  trash: ['id', 'deleted'],
+  attachments: ['id', 'uid', 'updated', 'updatedBy'],
+  accounts: ['id', 'uid', 'updated', 'updatedBy'],
+  recurring: ['id', 'uid', 'updated', 'updatedBy'],
+  purchases: ['id', 'uid', 'updated', 'updatedBy'],
+};
+// Indexados por su HMAC: el valor real va cifrado y se busca con indexValue
+const SEALED_INDEXED = { transactions: ['bankRef', 'dteKey'] };
+// 2: cuentas, recurrentes y compras cifradas, e índices con HMAC. Al desbloquear una versión
+// anterior se recifra todo (ver unlockAtStart).
+const SEAL_VERSION = 2;
+const LOCK_ITERATIONS = 600000;
+const LOCK_MIN_LENGTH = 4;
+const LOCK_AUTO_DEFAULT = 5; // minutos sin actividad
+
+const vault = { lock: null, keys: new Map(), current: null, busy: false };
+const hmacKeys = new Map(); // kid → clave HMAC derivada de la clave de datos
+let lockTimer = null;
+let lastActive = Date.now();
+
+async function deriveLockKey(pass, salt, iterations) {
+  const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(pass), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, base, { name: 'AES-GCM', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+}
+
+// Claves de datos de meta 'lock' por kid; null si la frase no corresponde (AES-GCM no valida)
+async function unwrapDataKeys(pass) {
+  const { salt, iterations, keys } = vault.lock;
+  const kek = await deriveLockKey(pass, salt, iterations);
+  const out = new Map();
+  try {
+    for (const k of keys) {
+      out.set(k.kid, await crypto.subtle.unwrapKey('raw', k.wrapped, kek, { name: 'AES-GCM', iv: k.iv }, 'AES-GCM', true, ['encrypt', 'decrypt']));
+    }
+  } catch {
+    return null;
+  }
+  return out;
+}
+
+async function wrapDataKeys(kek) {
+  const out = [];
+  for (const [kid, key] of vault.keys) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    out.push({ kid, iv, wrapped: await crypto.subtle.wrapKey('raw', key, kek, { name: 'AES-GCM', iv }) });
+  }
+  return out;
+}
+
+async function encryptBytes(bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  return { iv, data: await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, vault.keys.get(vault.current), bytes) };
+}
+function decryptBytes(kid, box) {
+  const key = vault.keys.get(kid);
+  if (!key) throw new Error(tr('la app está bloqueada'));
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: box.iv }, key, box.data);
+}
+
+// HKDF sobre la clave de datos: el HMAC no reutiliza la clave de AES tal cual
+async function indexKey(kid) {
+  if (!hmacKeys.has(kid)) {
+    const raw = await crypto.subtle.exportKey('raw', vault.keys.get(kid));
+    const base = await crypto.subtle.importKey('raw', raw, 'HKDF', false, ['deriveKey']);
+    const info = new TextEncoder().encode('gastos-indices');
+    hmacKeys.set(kid, await crypto.subtle.deriveKey({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(), info }, base, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']));
+  }
+  return hmacKeys.get(kid);
+}
+
+// Lo que se guarda (y se busca) en un índice de SEALED_INDEXED: sin clave, el valor tal cual
+async function indexValue(value, kid = vault.current) {
+  if (!kid || value == null) return value;
+  const mac = await crypto.subtle.sign('HMAC', await indexKey(kid), new TextEncoder().encode(String(value)));
+  return Array.from(new Uint8Array(mac), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Llamada desde dbp al escribir. Los Blob (archivo y miniatura) se cifran aparte: JSON no los guarda
+async function sealRecord(store, value) {
+  const clear = SEALED_FIELDS[store];
+  if (!clear || !vault.current) return value;
+  const indexed = SEALED_INDEXED[store] || [];
+  const row = {}, secret = {}, blobs = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (clear.includes(k)) row[k] = v;
+    else if (indexed.includes(k) && v != null) {
+      row[k] = await indexValue(v);
+      secret[k] = v;
+    }
+    else if (v instanceof Blob) blobs[k] = { type: v.type, ...(await encryptBytes(await v.arrayBuffer())) };
+    else secret[k] = v;
+  }
+  row.sealed = { kid: vault.current, blobs, ...(await encryptBytes(new TextEncoder().encode(JSON.stringify(secret)))) };
+  return row;
+}
+
+// Lo que no tiene `sealed` (sin clave o a medio cifrar) se devuelve tal cual; los campos de
+// SEALED_INDEXED descifrados reemplazan a su HMAC
+async function openRecord(store, row) {
+  if (!row?.sealed) return row;
+  const { sealed, ...rest } = row;
+  const out = { ...rest, ...JSON.parse(new TextDecoder().decode(await decryptBytes(sealed.kid, sealed))) };
+  for (const [k, b] of Object.entries(sealed.blobs)) out[k] = new Blob([await decryptBytes(sealed.kid, b)], { type: b.type });
+  return out;
+}
+function openRecords(store, rows) {
+  return SEALED_FIELDS[store] ? Promise.all(rows.map(row => openRecord(store, row))) : rows;
+}
+
+function storeRequest(store, make) {
+  return new Promise((res, rej) => {
+    const req = make(dbp.tx([store]).objectStore(store));
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+  });
+}
+
+function saveLock() {
+  return dbp.put('meta', { key: 'lock', value: vault.lock });
+}
+
+// Deja cada registro con la clave actual (o en claro si se está quitando) y descarta las anteriores.
+// Uno por uno y sin stampRecord: no cuenta como cambio para la sincronización.
+async function resealAll() {
+  vault.busy = true;
+  try {
+    // Con un formato anterior se recifra también lo que ya está con la clave actual
+    const outdated = vault.current && (vault.lock?.sealVersion ?? 1) < SEAL_VERSION;
+    const keys = [];
+    for (const store of Object.keys(SEALED_FIELDS)) {
+      for (const key of await storeRequest(store, os => os.getAllKeys())) keys.push([store, key]);
+    }
+    for (const [i, [store, key]] of keys.entries()) {
+      if (i % 25 === 0) showLockScreen(tr('Aplicando la clave: {i} de {n}. No cierres la app.', { i, n: keys.length }));
+      const row = await storeRequest(store, os => os.get(key));
+      if (row && (outdated || (row.sealed?.kid ?? null) !== vault.current)) await rawPut(store, await openRecord(store, row));
+    }
+    if (vault.current) {
+      for (const kid of vault.keys.keys()) if (kid !== vault.current) vault.keys.delete(kid);
+      vault.lock = { ...vault.lock, keys: vault.lock.keys.filter(k => k.kid === vault.current), rekey: false, sealVersion: SEAL_VERSION };
+      await saveLock();
+    } else {
+      await dbp.delete('meta', 'lock');
+      vault.lock = null;
+      vault.keys.clear();
+    }
+  } finally {
+    vault.busy = false;
+    hideLockScreen();
+  }
+}
+
+async function setPassphrase(pass, autoLock) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const kek = await deriveLockKey(pass, salt, LOCK_ITERATIONS);
+  const kid = crypto.randomUUID();
+  vault.keys.set(kid, await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']));
+  // Las claves anteriores quedan envueltas con la frase nueva hasta terminar de recifrar
+  vault.lock = { ...vault.lock, salt, iterations: LOCK_ITERATIONS, keys: await wrapDataKeys(kek), current: kid, rekey: true, autoLock };
+  await saveLock();
+  vault.current = kid;
+  await resealAll();
+}
+
+async function removePassphrase() {
+  vault.lock = { ...vault.lock, current: null, rekey: true };
+  await saveLock();
+  vault.current = null;
+  await resealAll();
+}
+
+function showLockScreen(progress = null) {
+  $('#lockScreen').classList.remove('hidden');
+  $('#unlockForm').classList.toggle('hidden', progress != null);
+  $('#lockProgress').classList.toggle('hidden', progress == null);
+  $('#lockProgress').textContent = progress || '';
+}
+function hideLockScreen() {
+  $('#lockScreen').classList.add('hidden');
+}
+
+// Antes de leer nada cifrado: con clave, la carga espera a que se desbloquee
+async function unlockAtStart() {
+  vault.lock = (await dbp.get('meta', 'lock'))?.value || null;
+  if (!vault.lock) return;
+  showLockScreen();
+  $('#unlockPass').focus();
+  await new Promise((resolve) => {
+    $('#unlockForm').onsubmit = async (ev) => {
+      ev.preventDefault();
+      const btn = $('#unlockBtn');
+      btn.disabled = true;
+      const keys = await unwrapDataKeys($('#unlockPass').value);
+      btn.disabled = false;
+      if (!keys) {
+        $('#unlockError').textContent = tr('Clave incorrecta.');
+        $('#unlockPass').select();
+        return;
+      }
+      vault.keys = keys;
+      vault.current = vault.lock.current;
+      resolve();
+    };
+  });
+  $('#unlockPass').value = '';
+  $('#unlockError').textContent = '';
+  // Un cambio de clave que quedó a medias, o datos cifrados con un formato anterior, se terminan ahora
+  if (vault.lock.rekey || (vault.current && (vault.lock.sealVersion ?? 1) < SEAL_VERSION)) await resealAll();
+  hideLockScreen();
+}
+
+// Bloquear es recargar: la clave de datos y todo lo descifrado se van con la página
+function lockNow() {
+  if (vault.lock?.current && !vault.busy) location.reload();
+}
+function armAutoLock() {
+  clearTimeout(lockTimer);
+  if (vault.lock?.current) lockTimer = setTimeout(lockNow, vault.lock.autoLock * 60 * 1000);
+}
+function bindAutoLock() {
+  const touch = () => { lastActive = Date.now(); armAutoLock(); };
+  for (const type of ['pointerdown', 'keydown', 'wheel', 'touchstart']) document.addEventListener(type, touch, { passive: true });
+  // En segundo plano los temporizadores se atrasan: al volver se mide el tiempo real
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && vault.lock?.current && Date.now() - lastActive > vault.lock.autoLock * 60 * 1000) lockNow();
+  });
+  renderLockState();
+}
+
+function renderLockState() {
+  $('#lockNowBtn').classList.toggle('hidden', !vault.lock?.current);
+  armAutoLock();
+}
+
+function openLockDialog() {
+  const on = !!vault.lock?.current;
+  $('#lockState').textContent = on
+    ? tr('Activada: las transacciones, cuentas, recurrentes, compras en cuotas y adjuntos se guardan cifrados en este dispositivo.')
+    : tr('Sin clave: cualquiera con acceso a este navegador puede ver los datos.');
+  $('#lockCurrentRow').classList.toggle('hidden', !on);
+  $('#disableLockBtn').classList.toggle('hidden', !on);
+  $('#saveLockBtn').textContent = tr(on ? 'Guardar' : 'Activar');
+  for (const id of ['#lockCurrent', '#lockNew', '#lockRepeat']) $(id).value = '';
+  $('#lockAck').checked = false;
+  $('#lockAuto').value = String(vault.lock?.autoLock ?? LOCK_AUTO_DEFAULT);
+  $('#lockDialog').showModal();
+}
+
+async function saveLockConfig(ev) {
+  ev.preventDefault();
+  const next = $('#lockNew').value;
+  const autoLock = Number($('#lockAuto').value);
+  // Con clave y sin una nueva: solo cambia el tiempo de bloqueo
+  if (vault.lock?.current && !next && !$('#lockRepeat').value) {
+    vault.lock = { ...vault.lock, autoLock };
+    await saveLock();
+    $('#lockDialog').close();
+    renderLockState();
+    return;
+  }
+  if (next.length < LOCK_MIN_LENGTH) return showAlert(tr('La clave debe tener al menos {n} caracteres.', { n: LOCK_MIN_LENGTH }));
+  if (next !== $('#lockRepeat').value) return showAlert(tr('Las claves no coinciden.'));
+  if (!$('#lockAck').checked) return showAlert(tr('Confirma que entiendes que sin la clave los datos no se pueden recuperar.'));
+  if (vault.lock?.current && !await unwrapDataKeys($('#lockCurrent').value)) return showAlert(tr('La clave actual no es correcta.'));
+  $('#lockDialog').close();
+  try {
+    await setPassphrase(next, autoLock);
+  } catch (err) {
+    showAlert(tr('No se pudo terminar de cifrar: {error}. Se retomará al desbloquear.', { error: err?.message || err }));
+    return;
+  } finally {
+    renderLockState();
+  }
+  showAlert(tr('Clave guardada. Si la olvidas, los datos de este dispositivo no se pueden recuperar.'));
+}
+
+async function disableLock(ev) {
+  ev.preventDefault();
+  if (!await unwrapDataKeys($('#lockCurrent').value)) return showAlert(tr('La clave actual no es correcta.'));
+  $('#lockDialog').close();
+  try {
+    await removePassphrase();
+  } catch (err) {
+    showAlert(tr('No se pudo terminar de descifrar: {error}. Se retomará al desbloquear.', { error: err?.message || err }));
+    return;
+  } finally {
+    renderLockState();
+  }
+  showAlert(tr('Clave quitada: los datos vuelven a guardarse sin cifrar.'));
+}
+
+// ---------- Migración desde gastosDB (versión anterior) ----------
+// La versión anterior guardaba `expenses` + `meta.income` en 'gastosDB'. Se copian a
+// 'gastosDB_v2' sin tocar la base antigua; cada registro copiado lleva `legacy` para
+// que volver a ejecutar la migración no duplique nada.
+const LEGACY_DB = 'gastosDB';
+
+function openLegacyDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(LEGACY_DB);
+    let missing = false;
+    req.onupgradeneeded = (e) => {
+      // No existe: se aborta para no crear una base vacía
+      if (e.oldVersion === 0) { missing = true; e.target.transaction.abort(); }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => (missing ? resolve(null) : reject(req.error));
+    req.onblocked = () => resolve(null);
+  });
+}
+
+function legacyGetAll(db, store) {
+  if (!db.objectStoreNames.contains(store)) return Promise.resolve([]);
+  return new Promise((res, rej) => {
+    const req = db.transaction([store]).objectStore(store).getAll();
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+  });
+}
+
+async function migrateLegacy() {
+  const done = await dbp.get('meta', 'legacyMigration');
+  if (done?.value?.done) return;
+
+  const legacy = await openLegacyDB();
+  if (!legacy) {
+    await dbp.put('meta', { key: 'legacyMigration', value: { done: true, at: Date.now(), found: false } });
+    return;
+  }
+
+  try {
+    const [expenses, attachments, meta] = await Promise.all([
+      legacyGetAll(legacy, 'expenses'),
+      legacyGetAll(legacy, 'attachments'),
+      legacyGetAll(legacy, 'meta'),
+    ]);
+    const income = meta.find(m => m.key === 'income')?.value || 0;
+    const total = expenses.length + (income > 0 ? 1 : 0);
+    if (total === 0) {
+      await dbp.put('meta', { key: 'legacyMigration', value: { done: true, at: Date.now(), found: true, expenses: 0, attachments: 0, income: 0 } });
+      return;
+    }
+
+    showMigrationDialog(total);
+
+    // Lo ya migrado en una ejecución interrumpida se reutiliza
+    const [txs, atts] = await Promise.all([dbp.getAll('transactions'), dbp.getAll('attachments')]);
+    const migratedTx = new Set(txs.filter(t => t.legacy?.db === LEGACY_DB).map(t => `${t.legacy.store}:${t.legacy.id}`));
+    const attMap = new Map(atts.filter(a => a.legacy?.db === LEGACY_DB).map(a => [a.legacy.id, a.id]));
+    const legacyAtts = new Map(attachments.map(a => [a.id, a]));
+
+    const summary = { expenses: 0, attachments: 0, skipped: 0, missingFiles: 0, income: 0 };
+    let step = 0;
+
+    for (const e of expenses) {
+      step++;
+      if (migratedTx.has(`expenses:${e.id}`)) { summary.skipped++; updateMigrationProgress(step, total); continue; }
+
+      const refs = [];
+      for (const ref of e.attachments || []) {
+        let newId = attMap.get(ref.storeId);
+        if (newId == null) {
+          const at = legacyAtts.get(ref.storeId);
+          if (!at) { summary.missingFiles++; continue; }
+          const { id, ...rest } = at;
+          newId = await dbp.add('attachments', { ...rest, legacy: { db: LEGACY_DB, id } });
+          attMap.set(id, newId);
+          summary.attachments++;
+        }
+        refs.push({ ...ref, storeId: newId });
+      }
+
+      await dbp.add('transactions', {
+        type: 'expense',
+        name: e.name,
+        amount: e.amount,
+        date: e.date,
+        attachments: refs,
+        created: e.created || Date.now(),
+        legacy: { db: LEGACY_DB, store: 'expenses', id: e.id },
+      });
+      summary.expenses++;
+      updateMigrationProgress(step, total);
+    }
+
+    // El ingreso fijo antiguo no tenía fecha: se registra en la del gasto más antiguo
+    if (income > 0) {
+      step++;
+      if (migratedTx.has('meta:income')) {
+        summary.skipped++;
+      } else {
+        const first = expenses.map(e => e.date).filter(Boolean).sort()[0] || todayStr();
+        await dbp.add('transactions', {
+          type: 'income',
+          name: tr('Ingreso (versión anterior)'),
+          amount: income,
+          date: first,
+          attachments: [],
+          created: Date.now(),
+          legacy: { db: LEGACY_DB, store: 'meta', id: 'income' },
+        });
+        summary.income = income;
+      }
+      updateMigrationProgress(step, total);
+    }
+
+    await dbp.put('meta', { key: 'legacyMigration', value: { done: true, at: Date.now(), found: true, ...summary } });
+    showMigrationSummary(summary);
+  } catch (err) {
+    // La base antigua queda intacta; se reintenta en la próxima apertura
+    showMigrationError(err);
+  } finally {
+    legacy.close();
+  }
+}
+
+function showMigrationDialog(total) {
+  $('#migrationText').textContent = tr('Copiando {n} registros de la versión anterior…', { n: total });
+  $('#migrationProgress').max = total;
+  $('#migrationProgress').value = 0;
+  $('#migrationSummary').innerHTML = '';
+  $('#migrationCloseBtn').disabled = true;
+  $('#migrationDialog').showModal();
+}
+
+function updateMigrationProgress(step, total) {
+  $('#migrationProgress').value = step;
+  $('#migrationText').textContent = tr('Copiando registros… {step} de {n}', { step, n: total });
+}
+
+function showMigrationSummary(summary) {
+  $('#migrationText').textContent = tr('Migración completada. Los datos originales se conservan.');
+  const ul = $('#migrationSummary');
+  ul.innerHTML = '';
+  addInfo(ul, tr('Gastos'), String(summary.expenses));
+  addInfo(ul, tr('Archivos'), String(summary.attachments));
+  addInfo(ul, tr('Ingreso'), summary.income ? fmt(summary.income) : '—');
+  if (summary.skipped) addInfo(ul, tr('Ya migrados'), String(summary.skipped));
+  if (summary.missingFiles) addInfo(ul, tr('Archivos no encontrados'), String(summary.missingFiles));
+  $('#migrationCloseBtn').disabled = false;
+}
+
+function showMigrationError(err) {
+  if (!$('#migrationDialog').open) $('#migrationDialog').showModal();
+  $('#migrationText').textContent = tr('No se pudo completar la migración ({error}). Se reintentará al volver a abrir la app.', { error: err?.message || err });
+  $('#migrationCloseBtn').disabled = false;
+}
+
+// ---------- Info panel (índices y cripto) ----------
+// Cada consulta exitosa guarda un punto por día en el store `indicators`; el panel siempre se
+// dibuja desde ahí, así que sin conexión muestra los últimos valores guardados.
+const INDICATORS = [
+  { id: 'uf', label: 'UF', group: 'cl', kind: 'clp', read: (cl) => cl?.uf?.valor },
+  { id: 'utm', label: 'UTM', group: 'cl', kind: 'clp', read: (cl) => cl?.utm?.valor },
+  { id: 'ipc', label: 'IPC', group: 'cl', kind: 'pct', read: (cl) => cl?.ipc?.valor },
+  { id: 'imacec', label: 'Imacec', group: 'cl', kind: 'pct', read: (cl) => cl?.imacec?.valor },
+  { id: 'tpm', label: 'TPM', group: 'cl', kind: 'pct', read: (cl) => cl?.tpm?.valor },
+  { id: 'dolar', label: 'USD/CLP', group: 'fx', kind: 'clp', read: (cl) => cl?.dolar?.valor },
+  { id: 'euro', label: 'EUR/CLP', group: 'fx', kind: 'clp', read: (cl) => cl?.euro?.valor },
+  { id: 'bitcoin', label: 'BTC', group: 'crypto', kind: 'coin' },
+  { id: 'ethereum', label: 'ETH', group: 'crypto', kind: 'coin' },
+  { id: 'solana', label: 'SOL', group: 'crypto', kind: 'coin' },
+  { id: 'cardano', label: 'ADA', group: 'crypto', kind: 'coin' },
+  { id: 'ripple', label: 'XRP', group: 'crypto', kind: 'coin' },
+  { id: 'dogecoin', label: 'DOGE', group: 'crypto', kind: 'coin' },
+  { id: 'litecoin', label: 'LTC', group: 'crypto', kind: 'coin' },
+];
+const DEFAULT_TRACKED = ['uf', 'utm', 'ipc', 'imacec', 'dolar', 'euro', 'bitcoin', 'ethereum', 'solana'];
+const INDICATOR_LISTS = { cl: '#clIndicators', fx: '#fxIndicators', crypto: '#cryptoIndicators' };
+
+async function indicatorPrefs() {
+  const [tracked, range] = await Promise.all([dbp.get('meta', 'trackedIndicators'), dbp.get('meta', 'indicatorRange')]);
+  return { tracked: tracked?.value || DEFAULT_TRACKED, range: range?.value || 30 };
+}
+
+async function refreshInfoPanel() {
+  setInfoListsLoading();
+  const prefs = await indicatorPrefs();
+  let fresh = false;
+  try {
+    const coins = INDICATORS.filter(i => i.kind === 'coin' && prefs.tracked.includes(i.id)).map(i => i.id);
+    const [clRes, cryptoRes] = await Promise.all([
+      fetchIndicator('https://mindicador.cl/api'),
+      coins.length
+        ? fetchIndicator(`https://api.coingecko.com/api/v3/simple/price?ids=${coins.join(',')}&vs_currencies=usd,clp`)
+        : { data: {}, cachedAt: null },
+    ]);
+    const cl = clRes.data;
+    const crypto = cryptoRes.data;
+    // Solo datos frescos: una respuesta desde caché no es el valor de hoy
+    if (!clRes.cachedAt) {
+      await storeRates(isoDate(new Date()), { USD: cl?.dolar?.valor, EUR: cl?.euro?.valor, UF: cl?.uf?.valor }, 'mindicador');
+      await saveIndicatorPoints(INDICATORS.filter(i => i.read).map(i => ({ id: i.id, value: i.read(cl) })));
+    }
+    if (!cryptoRes.cachedAt) {
+      await saveIndicatorPoints(coins.map(id => ({ id, value: crypto?.[id]?.clp, usd: crypto?.[id]?.usd })));
+    }
+    fresh = !clRes.cachedAt && !cryptoRes.cachedAt;
+  } catch (e) {
+    // Sin conexión: se muestra lo último guardado
+  }
+
+  const latest = await renderIndicators(prefs);
+  $('#lastUpdate').textContent = fresh
+    ? tr('Actualizado: {date}', { date: new Date().toLocaleString(settings.locale) })
+    : latest
+      ? tr('Sin conexión · últimos datos del {date}', { date: new Date(latest).toLocaleString(settings.locale) })
+      : tr('No se pudo actualizar. Revisa tu conexión.');
+  if (fresh && await backfillIndicators(prefs)) await renderIndicators(prefs);
+}
+
+// Completa los días del rango que no se guardaron (la app estuvo cerrada) con el histórico de
+// cada fuente. Se hace una vez al día por indicador y rango; devuelve cuántos puntos agregó.
+async function backfillIndicators(prefs) {
+  const today = isoDate(new Date());
+  const done = (await dbp.get('meta', 'indicatorBackfill'))?.value || {};
+  const since = addDays(new Date(), -prefs.range);
+  let added = 0;
+  for (const ind of INDICATORS.filter(i => prefs.tracked.includes(i.id))) {
+    const mark = `${today}:${prefs.range}`;
+    if (done[ind.id] === mark) continue;
+    let series;
+    try {
+      series = ind.kind === 'coin' ? await coinHistory(ind.id, prefs.range) : await mindicadorHistory(ind.id, since);
+    } catch (e) {
+      continue;
+    }
+    if (!series) continue; // respuesta desde caché: se reintenta con conexión
+    const have = new Set((await dbp.getAllByIndex('indicators', 'by_indicator', IDBKeyRange.only(ind.id))).map(p => p.date));
+    const fetched = Date.now();
+    for (const { date, value } of series) {
+      // El valor de hoy es el de la consulta normal
+      if (date >= today || have.has(date) || !Number.isFinite(value)) continue;
+      await dbp.put('indicators', { key: `${ind.id}:${date}`, id: ind.id, date, value, fetched });
+      have.add(date);
+      added++;
+    }
+    done[ind.id] = mark;
+  }
+  await dbp.put('meta', { key: 'indicatorBackfill', value: done });
+  return added;
+}
+
+// Serie de mindicador por año (trae todos los valores publicados), desde `since`
+async function mindicadorHistory(id, since) {
+  const out = [];
+  for (let year = since.getFullYear(); year <= new Date().getFullYear(); year++) {
+    const { data, cachedAt } = await fetchIndicator(`https://mindicador.cl/api/${id}/${year}`);
+    if (cachedAt) return null;
+    for (const p of data?.serie || []) out.push({ date: isoDate(new Date(p.fecha)), value: p.valor });
+  }
+  const from = isoDate(since);
+  return out.filter(p => p.date >= from);
+}
+
+async function coinHistory(id, days) {
+  const { data, cachedAt } = await fetchIndicator(`https://api.coingecko.com/api/v3/coins/${id}/market_chart?vs_currency=clp&days=${days}&interval=daily`);
+  if (cachedAt) return null;
+  return (data?.prices || []).map(([ms, value]) => ({ date: isoDate(new Date(ms)), value }));
+}
+
+async function saveIndicatorPoints(points) {
+  const date = isoDate(new Date());
+  const fetched = Date.now();
+  for (const p of points) {
+    if (!Number.isFinite(p.value)) continue;
+    await dbp.put('indicators', { key: `${p.id}:${date}`, id: p.id, date, value: p.value, usd: p.usd, fetched });
+  }
+}
+
+function formatIndicator(ind, point) {
+  if (!point) return '—';
+  // Los índices vienen en pesos aunque la moneda base sea otra
+  if (ind.kind === 'pct') return `${point.value.toLocaleString(settings.locale)}%`;
+  if (ind.kind === 'coin' && Number.isFinite(point.usd)) return `$${Math.round(point.usd).toLocaleString('en-US')} | ${fmtCurrency(Math.round(point.value), 'CLP')}`;
+  return fmtCurrency(Math.round(point.value), 'CLP');
+}
+
+// Variación contra `base`: en puntos porcentuales para tasas, en % para valores
+function formatChange(ind, point, base) {
+  if (!point || !base || base === point) return '';
+  if (ind.kind === 'pct') {
+    const d = point.value - base.value;
+    return `${d >= 0 ? '+' : ''}${d.toLocaleString(settings.locale, { maximumFractionDigits: 2 })} pp`;
+  }
+  if (!base.value) return '';
+  const pct = ((point.value - base.value) / base.value) * 100;
+  return `${pct >= 0 ? '+' : ''}${pct.toLocaleString(settings.locale, { maximumFractionDigits: 1 })}%`;
+}
+
+function sparkline(values) {
+  const w = 80, h = 20;
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+  svg.setAttribute('class', 'spark');
+  svg.setAttribute('aria-hidden', 'true');
+  if (values.length < 2) return svg;
+  const min = Math.min(...values), max = Math.max(...values);
+  const span = max - min || 1;
+  const pts = values.map((v, i) => `${(i / (values.length - 1)) * w},${h - 2 - ((v - min) / span) * (h - 4)}`);
+  const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+  line.setAttribute('points', pts.join(' '));
+  svg.appendChild(line);
+  return svg;
+}
+
+// Devuelve el `fetched` más reciente entre los indicadores dibujados
+async function renderIndicators(prefs) {
+  for (const sel of Object.values(INDICATOR_LISTS)) $(sel).innerHTML = '';
+  const today = isoDate(new Date());
+  const since = isoDate(addDays(new Date(), -prefs.range));
+  const monthStart = isoDate(monthRange(new Date()).start);
+  let latest = 0;
+
+  for (const ind of INDICATORS.filter(i => prefs.tracked.includes(i.id))) {
+    const points = (await dbp.getAllByIndex('indicators', 'by_indicator', IDBKeyRange.only(ind.id)))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const last = points[points.length - 1];
+    if (last) latest = Math.max(latest, last.fetched);
+    // La variación diaria es contra el día calendario anterior, no contra el último dato guardado
+    const previous = last && points.find(p => p.date === isoDate(addDays(parseDate(last.date), -1)));
+    const monthBase = points.find(p => p.date >= monthStart);
+
+    const li = document.createElement('li');
+    li.className = 'indicator';
+    const k = document.createElement('span'); k.className = 'k'; k.textContent = ind.label;
+    const v = document.createElement('span'); v.textContent = formatIndicator(ind, last);
+    if (last && last.date !== today) v.title = tr('Dato del {date}', { date: formatDate(last.date) });
+    const changes = document.createElement('span');
+    changes.className = 'changes muted';
+    const dDay = formatChange(ind, last, previous);
+    const dMonth = formatChange(ind, last, monthBase);
+    changes.textContent = [dDay && tr('día {change}', { change: dDay }), dMonth && tr('mes {change}', { change: dMonth })].filter(Boolean).join(' · ');
+    li.append(k, sparkline(points.filter(p => p.date >= since).map(p => p.value)), v, changes);
+    $(INDICATOR_LISTS[ind.group]).appendChild(li);
+  }
+  return latest;
+}
+
+async function openIndicatorDialog() {
+  const prefs = await indicatorPrefs();
+  const box = $('#indicatorChoices');
+  box.innerHTML = '';
+  for (const ind of INDICATORS) {
+    const label = document.createElement('label');
+    label.className = 'check';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = ind.id;
+    input.checked = prefs.tracked.includes(ind.id);
+    label.append(input, ` ${ind.label}`);
+    box.appendChild(label);
+  }
+  $('#indicatorRange').value = String(prefs.range);
+  $('#indicatorDialog').showModal();
+}
+
+async function saveIndicatorPrefs(ev) {
+  ev.preventDefault();
+  const tracked = $$('#indicatorChoices input:checked').map(i => i.value);
+  await dbp.put('meta', { key: 'trackedIndicators', value: tracked });
+  await dbp.put('meta', { key: 'indicatorRange', value: Number($('#indicatorRange').value) });
+  $('#indicatorDialog').close();
+  refreshInfoPanel();
+}
+
+async function fetchIndicator(url) {
+  const r = await fetch(url, { cache: 'no-store' });
+  const stamp = r.headers.get('x-sw-cached-at');
+  return { data: await r.json(), cachedAt: stamp ? Number(stamp) : null };
+}
+
+function setInfoListsLoading() {
+  const lists = [$('#clIndicators'), $('#fxIndicators'), $('#cryptoIndicators')];
+  for (const ul of lists) ul.innerHTML = `<li><span class="k">${tr('Cargando…')}</span><span>—</span></li>`;
+}
+
+function addInfo(ul, key, value) {
+  const li = document.createElement('li');
+  const k = document.createElement('span'); k.className = 'k'; k.textContent = key;
+  const v = document.createElement('span'); v.textContent = value;
+  li.append(k, v);
+  ul.appendChild(li);
+}
+
+// ---------- PWA install ----------
+let deferredPrompt = null;
+function setupInstall() {
+  const btn = $('#installBtn');
+  btn.style.display = 'none';
+  window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    deferredPrompt = e;
+    btn.style.display = '';
+  });
+  btn.addEventListener('click', async () => {
+    if (!deferredPrompt) return;
+    deferredPrompt.prompt();
+    await deferredPrompt.userChoice;
+    deferredPrompt = null;
+    btn.style.display = 'none';
+  });
+}
+
+// ---------- Service Worker ----------
+async function registerSW() {
+  if (!('serviceWorker' in navigator)) return;
+  const reg = await navigator.serviceWorker.register('./sw.js');
+
+  // Una versión nueva queda en espera hasta que el usuario elija recargar
+  if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+  reg.addEventListener('updatefound', () => {
+    const sw = reg.installing;
+    sw?.addEventListener('statechange', () => {
+      if (sw.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(sw);
+    });
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') reg.update().catch(() => {});
+  });
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!updateRequested || reloading) return;
+    reloading = true;
+    location.reload();
+  });
+}
+
+let updateRequested = false;
+function showUpdateBanner(worker) {
+  const banner = $('#updateBanner');
+  banner.classList.remove('hidden');
+  $('#reloadBtn').onclick = () => {
+    updateRequested = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+  $('#dismissUpdateBtn').onclick = () => banner.classList.add('hidden');
+}
+
+// ---------- Init ----------
+// Al final del módulo: el top-level await pausa la evaluación, así que todas las constantes
+// de arriba deben estar inicializadas antes de cargar y pintar.
+state.filter = filterFromURL();
+await dbp.open();
+await loadSettings(); // meta 'settings' no va cifrada: el idioma sirve también para la pantalla de bloqueo
+translatePage();
+await loadSyncState(); // antes de escribir: stampRecord necesita el id del dispositivo
+await unlockAtStart();
+await migrateLegacy();
+// Con sincronización se genera después de recibir (ver catchUp), ya con la app pintada
+if (!sync.config.kind) {
+  await materializeRecurring();
+  await materializeInstallments();
+}
+await purgeTrash();
+await loadAll();
+initUI();
+syncFilterBar();
+renderSavedFilters();
+registerSW().catch(() => {});
+autoSetDefaultDate();
+refreshInfoPanel();
+setInterval(refreshInfoPanel, 10 * 60 * 1000); // cada 10 minutos
+renderSyncStatus();
+catchUp();
+setInterval(runSync, SYNC_INTERVAL);
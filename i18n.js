@@ -0,0 +1,550 @@
+// i18n.js — Textos en inglés de Control de Gastos por LPaz
+// La clave es el texto original en español (tal como aparece en app.js o index.html);
+// `{nombre}` marca los valores que se insertan al traducir. Lo que falte se muestra en español.
+
+export const EN = {
+  // Página (index.html)
+  'Control de Gastos por LPaz': 'LPaz Expense Tracker',
+  'Instalar': 'Install',
+  'Actualizar': 'Refresh',
+  'Almacenamiento': 'Storage',
+  'Papelera': 'Trash',
+  'Sincronizar': 'Sync',
+  'Seguridad': 'Security',
+  'Bloquear': 'Lock',
+  'Respaldar': 'Back up',
+  'Restaurar': 'Restore',
+  'Balance': 'Balance',
+  'Cuentas': 'Accounts',
+  'Ingresos': 'Income',
+  'Gastos': 'Expenses',
+  'Saldo': 'Balance',
+  'Próximos movimientos conocidos': 'Upcoming known movements',
+  'Nueva transacción': 'New transaction',
+  'Tipo': 'Type',
+  'Gasto': 'Expense',
+  'Ingreso': 'Income',
+  'Transferencia': 'Transfer',
+  'Nombre': 'Name',
+  'Cuenta': 'Account',
+  'Hacia la cuenta': 'To account',
+  'Documento': 'Document',
+  'Sin documento': 'No document',
+  'Boleta': 'Receipt (boleta)',
+  'Factura': 'Invoice (factura)',
+  'Cuotas': 'Installments',
+  'Interés mensual (%)': 'Monthly interest (%)',
+  'Gasto compartido': 'Shared expense',
+  'Pagó': 'Paid by',
+  'Dividir': 'Split',
+  'Valor en CLP': 'Value in CLP',
+  'Categoría': 'Category',
+  'Etiquetas': 'Tags',
+  'Repetir': 'Repeat',
+  'No se repite': 'Does not repeat',
+  'Cada mes (mismo día)': 'Every month (same day)',
+  'Día 15 y último del mes': '15th and last day of the month',
+  'Cada semana': 'Every week',
+  'Cada año': 'Every year',
+  'Fecha': 'Date',
+  'Foto comprobante': 'Receipt photo',
+  'Agregar': 'Add',
+  'Limpiar': 'Clear',
+  'Nuevo presupuesto': 'New budget',
+  'Sin presupuestos definidos.': 'No budgets defined.',
+  'Sin transacciones recurrentes. Usa "Repetir" al agregar una.': 'No recurring transactions. Use "Repeat" when adding one.',
+  'Sin compras en cuotas pendientes. Elige una tarjeta de crédito al agregar un gasto.': 'No pending installment purchases. Choose a credit card when adding an expense.',
+  'Compromisos por mes': 'Commitments per month',
+  'Compartidos': 'Shared',
+  'Registrar pago': 'Record payment',
+  'Personas': 'People',
+  'Agrega a las personas con las que compartes gastos para dividirlos.': 'Add the people you share expenses with to split them.',
+  'Exportar': 'Export',
+  'Importar': 'Import',
+  'Cartola': 'Bank statement',
+  'Gastos e ingresos': 'Expenses and income',
+  'Solo gastos': 'Expenses only',
+  'Solo ingresos': 'Income only',
+  'Solo transferencias': 'Transfers only',
+  'Con o sin comprobante': 'With or without receipt',
+  'Con comprobante': 'With receipt',
+  'Sin comprobante': 'Without receipt',
+  'Sin registros aún.': 'No records yet.',
+  'Estadísticas de gasto': 'Spending statistics',
+  'Informes': 'Reports',
+  'IVA': 'VAT',
+  'Total': 'Total',
+  'Hoy': 'Today',
+  'Semana': 'Week',
+  'Ingresos y gastos': 'Income and expenses',
+  '■ Ingresos': '■ Income',
+  '■ Gastos': '■ Expenses',
+  '— Saldo': '— Balance',
+  'Día': 'Day',
+  'Por categoría': 'By category',
+  'Índices e info': 'Indices and info',
+  'Elegir': 'Choose',
+  'Divisas': 'Currencies',
+  'Cripto': 'Crypto',
+  'Editar transacción': 'Edit transaction',
+  'Transacción recurrente': 'Recurring transaction',
+  'Cambiar solo esta': 'Change only this one',
+  'Cambiar esta y las siguientes': 'Change this and the following ones',
+  'Agregar foto': 'Add photo',
+  'Agregar archivos': 'Add files',
+  'Historial': 'History',
+  'Cancelar': 'Cancel',
+  'Cerrar': 'Close',
+  'Le pagué a': 'I paid',
+  'Me pagó': 'Paid me',
+  'Las transacciones eliminadas y sus adjuntos se borran definitivamente a los 30 días.': 'Deleted transactions and their attachments are permanently removed after 30 days.',
+  'Vaciar papelera': 'Empty trash',
+  'Exportar CSV': 'Export CSV',
+  'Formato Excel (es-CL): columnas separadas por punto y coma. Deja las fechas vacías para exportar todo.': 'Excel format (es-CL): columns separated by semicolons. Leave the dates empty to export everything.',
+  'Desde': 'From',
+  'Hasta': 'To',
+  'Descargar': 'Download',
+  'Informe del periodo': 'Period report',
+  'Periodo': 'Period',
+  'Concepto': 'Item',
+  'Anterior': 'Previous',
+  'Variación': 'Change',
+  'Principales gastos por nombre': 'Top expenses by name',
+  'Veces': 'Times',
+  'Imprimir / PDF': 'Print / PDF',
+  'Descargar HTML': 'Download HTML',
+  'IVA del mes': 'VAT for the month',
+  'Periodo tributario': 'Tax period',
+  'Referencial para completar el F29: revisa los montos con tu contador.': 'For reference when filing the F29: check the amounts with your accountant.',
+  'Importar CSV': 'Import CSV',
+  'La primera fila tiene encabezados': 'The first row has headers',
+  'Posibles duplicados (misma fecha, monto y nombre)': 'Possible duplicates (same date, amount and name)',
+  'Omitir': 'Skip',
+  'Fusionar con el existente (categoría y etiquetas)': 'Merge with the existing one (category and tags)',
+  'Importar de todas formas': 'Import anyway',
+  'Importar cartola': 'Import bank statement',
+  'Banco / formato': 'Bank / format',
+  'Reglas de este banco': 'Rules for this bank',
+  'Si la descripción contiene': 'If the description contains',
+  'Usar el nombre': 'Use the name',
+  'Agregar regla': 'Add rule',
+  'Importar seleccionados': 'Import selected',
+  'Índices a seguir': 'Indices to follow',
+  'Tendencia': 'Trend',
+  'Últimos 30 días': 'Last 30 days',
+  'Últimos 90 días': 'Last 90 days',
+  'Los archivos sin referencia quedan al reemplazar adjuntos o de versiones anteriores.': 'Unreferenced files are left over from replaced attachments or earlier versions.',
+  'Eliminar sin referencia': 'Delete unreferenced',
+  'Sincronización': 'Sync',
+  'Opcional: mantiene este dispositivo al día con los demás a través de tu propio servidor.': 'Optional: keeps this device up to date with the others through your own server.',
+  'Servidor': 'Server',
+  'Usuario': 'User',
+  'Contraseña': 'Password',
+  'Sincronizar ahora': 'Sync now',
+  'Idioma': 'Language',
+  'Formato de fechas y números': 'Date and number format',
+  'Moneda base': 'Base currency',
+  'Peso chileno (CLP)': 'Chilean peso (CLP)',
+  'Dólar estadounidense (USD)': 'US dollar (USD)',
+  'Euro (EUR)': 'Euro (EUR)',
+  'Es la moneda de los saldos, presupuestos e informes. Cambiarla no convierte los montos ya registrados.': 'It is the currency of balances, budgets and reports. Changing it does not convert amounts already recorded.',
+  'La semana empieza el': 'The week starts on',
+  'Lunes': 'Monday',
+  'Domingo': 'Sunday',
+  'Sábado': 'Saturday',
+  'La 1ª quincena termina el día': 'The first fortnight ends on day',
+  'Tema': 'Theme',
+  'Oscuro': 'Dark',
+  'Claro': 'Light',
+  'Según el sistema': 'Same as the system',
+  'Clave actual': 'Current passphrase',
+  'Nueva clave': 'New passphrase',
+  'Repetir clave': 'Repeat passphrase',
+  'Un PIN de 4 o más dígitos o una frase. Una frase larga resiste mucho mejor si alguien copia los datos del navegador.': 'A PIN of 4 or more digits or a phrase. A long phrase holds up much better if someone copies the browser data.',
+  'Bloquear tras inactividad': 'Lock after inactivity',
+  '1 minuto': '1 minute',
+  '5 minutos': '5 minutes',
+  '15 minutos': '15 minutes',
+  '30 minutos': '30 minutes',
+  'Si olvidas la clave, tus transacciones y adjuntos no se pueden recuperar: quedan cifrados con ella y no existe otra forma de abrirlos. Descarga un respaldo antes de activarla.': 'If you forget the passphrase, your transactions and attachments cannot be recovered: they are encrypted with it and there is no other way to open them. Download a backup before turning it on.',
+  'Entiendo que sin la clave pierdo los datos': 'I understand that without the passphrase I lose the data',
+  'Los respaldos y lo que se envía al sincronizar no llevan este cifrado: protégelos por separado.': 'Backups and what is sent when syncing do not carry this encryption: protect them separately.',
+  'Quitar clave': 'Remove passphrase',
+  'Restaurar respaldo': 'Restore backup',
+  'Modo': 'Mode',
+  'Fusionar: agrega lo que falta y conserva lo actual': 'Merge: adds what is missing and keeps the current data',
+  'Reemplazar todo: borra los datos actuales': 'Replace everything: deletes the current data',
+  'Mensual': 'Monthly',
+  'Quincenal (1–{split} / {next}–fin)': 'Fortnightly (1–{split} / {next}–end)',
+  'El corte de la quincena debe ser un día entre 1 y 27.': 'The fortnight split must be a day between 1 and 27.',
+  '¿Usar {currency} como moneda base? Los montos ya registrados no se convierten.': 'Use {currency} as the base currency? Amounts already recorded are not converted.',
+  'Acumular lo que sobre (o falte) al periodo siguiente': 'Carry what is left (or missing) over to the next period',
+  'Ícono': 'Icon',
+  'Color': 'Color',
+  'Saldo inicial': 'Opening balance',
+  'Según la app': 'According to the app',
+  'Diferencia': 'Difference',
+  'Ajustar corrige el saldo inicial de la cuenta para que cuadre con el banco.': 'Adjust corrects the opening balance of the account so it matches the bank.',
+  'Ajustar saldo': 'Adjust balance',
+  'Solo registrar': 'Just record',
+  'Migrando datos': 'Migrating data',
+  'Control de Gastos bloqueado': 'Expense Tracker locked',
+  'Clave': 'Passphrase',
+  'Desbloquear': 'Unlock',
+  'Deshacer': 'Undo',
+  'Hay una nueva versión disponible.': 'A new version is available.',
+  'Recargar': 'Reload',
+  'Actualizar índices': 'Refresh indices',
+  'Espacio usado y adjuntos': 'Space used and attachments',
+  'Transacciones eliminadas': 'Deleted transactions',
+  'Sincronización entre dispositivos': 'Sync between devices',
+  'Idioma, moneda y apariencia': 'Language, currency and appearance',
+  'Clave y cifrado de los datos': 'Passphrase and data encryption',
+  'Bloquear ahora': 'Lock now',
+  'Descargar respaldo completo': 'Download full backup',
+  'Restaurar desde un respaldo': 'Restore from a backup',
+  'Gasto vs Ingreso': 'Expense vs income',
+  'Ej. Bencina, sueldo…': 'E.g. Fuel, salary…',
+  'Ej. 12500': 'E.g. 12500',
+  'Moneda': 'Currency',
+  '0 = sin interés': '0 = interest-free',
+  'Ej. viaje, oficina': 'E.g. trip, office',
+  'Buscar por nombre o etiqueta…': 'Search by name or tag…',
+  'Cartola CSV, XLS, XLSX u OFX': 'CSV, XLS, XLSX or OFX bank statement',
+  'Monto mín.': 'Min. amount',
+  'Monto mínimo': 'Minimum amount',
+  'Monto máx.': 'Max. amount',
+  'Monto máximo': 'Maximum amount',
+  'Comprobante': 'Receipt',
+  'Filtros guardados': 'Saved filters',
+  'Guardar filtro actual': 'Save current filter',
+  'Eliminar filtro guardado': 'Delete saved filter',
+  'Agrupar por': 'Group by',
+  'Etiquetas, separadas por coma': 'Tags, separated by commas',
+  'Ej. Camila': 'E.g. Camila',
+  'Dirección': 'Direction',
+  'Persona': 'Person',
+  'Ej. COPEC': 'E.g. COPEC',
+  'Ej. Bencina': 'E.g. Fuel',
+  'Siguiente': 'Next',
+  'https://servidor/gastos': 'https://server/expenses',
+  'Ej. 250000': 'E.g. 250000',
+  'Ej. Mascotas': 'E.g. Pets',
+  'Ej. Cuenta RUT': 'E.g. Cuenta RUT',
+
+  // Lista de transacciones
+  'Editar': 'Edit',
+  'Ver': 'View',
+  'Filtro activo · {n} transacciones': 'Filter on · {n} transactions',
+  '{doc} N° {folio} ya está registrada. ¿Agregarla de todas formas?': '{doc} No. {folio} is already recorded. Add it anyway?',
+  '"{name}" agregada.': '"{name}" added.',
+  '"{name}" actualizada.': '"{name}" updated.',
+  '"{name}" se movió a la papelera.': '"{name}" was moved to the trash.',
+  'Ninguna transacción coincide con el filtro.': 'No transactions match the filter.',
+  '{day} · gastos {amount}': '{day} · spent {amount}',
+  'Ver todas las transacciones "{name}"': 'Show all "{name}" transactions',
+  'IVA {amount}': 'VAT {amount}',
+  'saldo con {name}': 'settle-up with {name}',
+  'cuota {n}/{total}': 'installment {n}/{total}',
+  'prepago cuotas {from}–{to}/{total}': 'prepaid installments {from}–{to}/{total}',
+  '{n} archivos': '{n} files',
+
+  // Historial y papelera
+  'Creada': 'Created',
+  'Editada': 'Edited',
+  'Eliminada': 'Deleted',
+  'Restaurada': 'Restored',
+  'Revertida': 'Reverted',
+  'regla recurrente': 'recurring rule',
+  'compra en cuotas': 'installment purchase',
+  'cambio de la serie': 'series change',
+  'importación CSV': 'CSV import',
+  'cartola': 'bank statement',
+  'categoría eliminada': 'deleted category',
+  'Hacia': 'To',
+  'Adjuntos': 'Attachments',
+  'Sin categoría': 'Uncategorized',
+  'La transacción está en la papelera: restáurala desde ahí.': 'The transaction is in the trash: restore it from there.',
+  'Historial de "{name}"': 'History of "{name}"',
+  'Sin cambios registrados.': 'No recorded changes.',
+  'Volver a esta versión': 'Go back to this version',
+  'La papelera está vacía.': 'The trash is empty.',
+  'se elimina el {date}': 'deleted on {date}',
+  'Restaurar {name}': 'Restore {name}',
+  'Eliminar {name} definitivamente': 'Delete {name} permanently',
+  '¿Eliminar "{name}" definitivamente? No se puede deshacer.': 'Delete "{name}" permanently? This cannot be undone.',
+  '¿Eliminar definitivamente {n} transacciones de la papelera?': 'Permanently delete {n} transactions from the trash?',
+
+  // Adjuntos y almacenamiento
+  'Ver {name}': 'View {name}',
+  'Quitar {name}': 'Remove {name}',
+  'El archivo ya no está disponible.': 'The file is no longer available.',
+  'El archivo aún no se descarga de otro dispositivo: sincroniza para obtenerlo.': 'The file has not been downloaded from another device yet: sync to get it.',
+  'Sin vista previa para este tipo de archivo.': 'No preview for this file type.',
+  '{name} · {i} de {n}': '{name} · {i} of {n}',
+  'Calculando…': 'Calculating…',
+  'Uso del navegador': 'Browser usage',
+  '{used} de {quota}': '{used} of {quota}',
+  'No disponible': 'Not available',
+  'Sin referencia': 'Unreferenced',
+  '¿Eliminar {n} archivos sin referencia ({size})?': 'Delete {n} unreferenced files ({size})?',
+
+  // Documentos tributarios (DTE)
+  'El archivo no es un XML válido.': 'The file is not valid XML.',
+  'El XML no contiene un documento tributario electrónico.': 'The XML does not contain an electronic tax document.',
+  'Neto {net} · IVA {iva}': 'Net {net} · VAT {iva}',
+  'el archivo trae {n} documentos, se usó el primero': 'the file has {n} documents, the first one was used',
+  '⚠ ya registrada el {date} como "{name}"': '⚠ already recorded on {date} as "{name}"',
+
+  // Filtros
+  'Nombre: {name} ✕': 'Name: {name} ✕',
+  'Filtros guardados…': 'Saved filters…',
+  'Nombre para este filtro:': 'Name for this filter:',
+
+  // Gráfico
+  'días': 'days',
+  'semanas': 'weeks',
+  'quincenas': 'fortnights',
+  'meses': 'months',
+  'Semana del {from} al {to} {year}': 'Week of {from} to {to} {year}',
+  '1ª': '1st',
+  '2ª': '2nd',
+  '{n} quincena de {month}': '{n} half of {month}',
+  '{period}: ingresos {income}, gastos {expense}, saldo acumulado {balance}': '{period}: income {income}, expenses {expense}, running balance {balance}',
+  'Ingresos y gastos de los últimos {n} {noun}. Usa las flechas para recorrer y Enter para ver las transacciones del periodo.': 'Income and expenses for the last {n} {noun}. Use the arrow keys to move and Enter to see the transactions in the period.',
+  'Ingresos {amount}': 'Income {amount}',
+  'Gastos {amount}': 'Expenses {amount}',
+  'Saldo acumulado {amount}': 'Running balance {amount}',
+
+  // Informes
+  'Neto': 'Net',
+  'Gasto diario promedio': 'Average daily spending',
+  'nuevo': 'new',
+  'Año a la fecha': 'Year to date',
+  'Meses': 'Months',
+  'Quincenas': 'Fortnights',
+  'Personalizado': 'Custom',
+  'Elige un rango de fechas válido.': 'Choose a valid date range.',
+  '{range} comparado con {previous}': '{range} compared with {previous}',
+  'Sin gastos en el periodo': 'No expenses in the period',
+  'Informe {range}': 'Report {range}',
+  'Comparado con {range} · {n} días': 'Compared with {range} · {n} days',
+  'Resumen': 'Summary',
+  'Control de Gastos por LPaz · generado el {date}': 'LPaz Expense Tracker · generated on {date}',
+
+  // IVA
+  'Neto e IVA se calculan en {currency} al guardar': 'Net and VAT are calculated in {currency} when saving',
+  'Compras con factura ({n})': 'Purchases with invoice ({n})',
+  'Neto {amount}': 'Net {amount}',
+  'IVA crédito fiscal': 'Input VAT (crédito fiscal)',
+  'Ventas con factura ({n})': 'Sales with invoice ({n})',
+  'IVA débito fiscal': 'Output VAT (débito fiscal)',
+  'Compras con boleta ({n})': 'Purchases with receipt ({n})',
+  '{amount} sin crédito': '{amount} without credit',
+  'IVA a pagar': 'VAT payable',
+  'Remanente de crédito': 'Credit carried forward',
+
+  // Categorías
+  'General (todos los gastos)': 'General (all expenses)',
+  'Todas las categorías': 'All categories',
+  'Sin gastos en este periodo.': 'No expenses in this period.',
+  'Eliminar': 'Delete',
+  'Eliminar {name}': 'Delete {name}',
+  '{n} transacciones, reglas o compras quedarán sin categoría. ¿Continuar?': '{n} transactions, rules or purchases will be left without a category. Continue?',
+
+  // Cuentas
+  'Efectivo': 'Cash',
+  'Cuenta corriente': 'Checking account',
+  'Cuenta de ahorro': 'Savings account',
+  'Tarjeta de crédito': 'Credit card',
+  'Todas las cuentas': 'All accounts',
+  'Elige una cuenta de destino distinta a la de origen.': 'Choose a destination account different from the source.',
+  'Ver transacciones de la cuenta': 'See the account transactions',
+  'Conciliada al {date}': 'Reconciled on {date}',
+  'Conciliar': 'Reconcile',
+  'Inicial {amount}': 'Opening {amount}',
+  'Debe quedar al menos una cuenta.': 'At least one account must remain.',
+  'La cuenta tiene {n} movimientos, reglas o compras: muévelos a otra cuenta antes de eliminarla.': 'The account has {n} transactions, rules or purchases: move them to another account before deleting it.',
+  'Conciliar {name}': 'Reconcile {name}',
+  'Deuda según el banco': 'Debt according to the bank',
+  'Saldo según el banco': 'Balance according to the bank',
+  'Cuadra ✓': 'Balanced ✓',
+
+  // Gastos compartidos
+  'En partes iguales': 'Equally',
+  'Por porcentaje': 'By percentage',
+  'Montos exactos': 'Exact amounts',
+  'Tú': 'You',
+  'Elige al menos a una persona.': 'Choose at least one person.',
+  'Los porcentajes suman {sum} %, deben sumar 100 %.': 'Percentages add up to {sum} %, they must add up to 100 %.',
+  'Los montos suman {sum} de {total}.': 'Amounts add up to {sum} of {total}.',
+  'compartido': 'shared',
+  'pagó {name}': '{name} paid',
+  '{who} · tu parte {amount}': '{who} · your share {amount}',
+  'Monto': 'Amount',
+  'Te debe {amount}': 'Owes you {amount}',
+  'Le debes {amount}': 'You owe {amount}',
+  'Al día': 'Settled up',
+  'Saldar con {name}': 'Settle up with {name}',
+  'Ya existe "{name}".': '"{name}" already exists.',
+  '{name} aparece en {n} movimientos, reglas o compras: no se puede eliminar.': '{name} appears in {n} transactions, rules or purchases: it cannot be deleted.',
+  'Pago a {name}': 'Payment to {name}',
+  'Pago de {name}': 'Payment from {name}',
+  '"{name}" registrado.': '"{name}" recorded.',
+
+  // Proyección
+  'fijo': 'fixed',
+  'recurrente': 'recurring',
+  'cuota': 'installment',
+  '{name} (cuota {i}/{n})': '{name} (installment {i}/{n})',
+  'día': 'day',
+  'Puedes gastar {amount} por día hasta fin de mes ({n} {days}).': 'You can spend {amount} per day until the end of the month ({n} {days}).',
+  'Sin margen para gasto variable hasta fin de mes.': 'No room for variable spending until the end of the month.',
+  'No se pudo calcular el pronóstico: {error}': 'The forecast could not be calculated: {error}',
+  'Fin de mes': 'End of month',
+  'Fin de quincena': 'End of fortnight',
+  'Gasto variable promedio': 'Average variable spending',
+  '{amount} por día': '{amount} per day',
+  'Con el gasto habitual, el saldo quedaría negativo el {date} ({amount}).': 'With your usual spending, the balance would go negative on {date} ({amount}).',
+  'Próximos movimientos conocidos ({n})': 'Upcoming known movements ({n})',
+
+  // Presupuestos
+  'General': 'General',
+  'Quincena': 'Fortnight',
+  'Mes': 'Month',
+  '{spent} de {limit}': '{spent} of {limit}',
+  'Quedan {amount}': '{amount} left',
+  'Excedido en {amount}': 'Over by {amount}',
+  'acumula': 'rolls over',
+  'se reinicia': 'resets',
+  'Eliminar presupuesto {name}': 'Delete budget {name}',
+  'Presupuesto excedido: {name}': 'Budget exceeded: {name}',
+  'Llevas el {pct}% de {name}': 'You have used {pct}% of {name}',
+
+  // Recurrentes
+  'Mensual, día {day}': 'Monthly, on day {day}',
+  'Día 15 y último de cada mes': '15th and last day of each month',
+  'Semanal, los {weekday}': 'Weekly, on {weekday}',
+  'Anual, {date}': 'Yearly, {date}',
+  'Finalizada': 'Ended',
+  'En pausa': 'Paused',
+  'Próxima: {date}': 'Next: {date}',
+  'Reanudar': 'Resume',
+  'Pausar': 'Pause',
+  'Finalizar': 'End',
+  '¿Finalizar "{name}"? No se generarán más ocurrencias.': 'End "{name}"? No more occurrences will be generated.',
+
+  // Cuotas
+  '({rate} % mensual)': '({rate} % monthly)',
+  'sin interés': 'interest-free',
+  '{name} · {total} en {n} cuotas {terms}': '{name} · {total} in {n} installments {terms}',
+  'Pagadas {paid}/{n} · quedan {amount}': 'Paid {paid}/{n} · {amount} left',
+  'Prepagar cuotas restantes': 'Prepay remaining installments',
+  'Anular cuotas restantes': 'Cancel remaining installments',
+  'Total comprometido': 'Total committed',
+  '¿Prepagar {n} cuotas de "{name}" por {amount}?': 'Prepay {n} installments of "{name}" for {amount}?',
+  '¿Anular las {n} cuotas restantes de "{name}"?': 'Cancel the {n} remaining installments of "{name}"?',
+
+  // CSV
+  'El archivo no tiene filas.': 'The file has no rows.',
+  'Columna {n}': 'Column {n}',
+  'Todos son gastos': 'All are expenses',
+  'Según signo (negativo = gasto)': 'By sign (negative = expense)',
+  '{valid} filas válidas · {dups} posibles duplicados · {invalid} no reconocidas': '{valid} valid rows · {dups} possible duplicates · {invalid} not recognized',
+  'Duplicado': 'Duplicate',
+  'Importación: {added} agregadas, {merged} fusionadas, {skipped} omitidas.': 'Import: {added} added, {merged} merged, {skipped} skipped.',
+
+  // Monedas
+  'No hay valor del {currency} para esa fecha. Ingrésalo manualmente.': 'There is no {currency} rate for that date. Enter it manually.',
+  'Valor de 1 {currency} en {base}': 'Value of 1 {currency} in {base}',
+  'Sin valor para esta fecha (¿sin conexión?): ingrésalo manualmente.': 'No rate for this date (offline?): enter it manually.',
+
+  // Cartolas
+  'Los .xls del formato antiguo de Excel no se pueden leer. Ábrelo y guárdalo como XLSX o CSV para importarlo.': 'Old-format Excel .xls files cannot be read. Open it and save it as XLSX or CSV to import it.',
+  'No se pudo leer la planilla: {error}': 'Could not read the spreadsheet: {error}',
+  'el archivo no es un zip válido': 'the file is not a valid zip',
+  'no es una planilla XLSX': 'it is not an XLSX spreadsheet',
+  'no se encontró la hoja': 'the sheet was not found',
+  'Otro banco (CSV genérico)': 'Other bank (generic CSV)',
+  '{n} movimientos · {fresh} nuevos · {old} ya importados': '{n} movements · {fresh} new · {old} already imported',
+  'No se reconocieron movimientos con este perfil.': 'No movements were recognized with this profile.',
+  'Incluir {name}': 'Include {name}',
+  'Ya importado': 'Already imported',
+  'Sin reglas para este banco.': 'No rules for this bank.',
+  'contiene "{text}" → {name}': 'contains "{text}" → {name}',
+  'Eliminar regla': 'Delete rule',
+  'Movimiento bancario': 'Bank movement',
+  'Cartola: {n} movimientos importados.': 'Bank statement: {n} movements imported.',
+
+  // Respaldo
+  'no es un respaldo de esta app': 'it is not a backup from this app',
+  'el respaldo es de una versión más nueva': 'the backup is from a newer version',
+  'el checksum no coincide (archivo dañado)': 'the checksum does not match (damaged file)',
+  'faltan datos': 'data is missing',
+  'No se pudo leer el respaldo: {error}': 'The backup could not be read: {error}',
+  'Persona {n} del respaldo': 'Person {n} from the backup',
+  'Transacciones': 'Transactions',
+  'Categorías': 'Categories',
+  'Presupuestos': 'Budgets',
+  'Recurrentes': 'Recurring',
+  'Compras en cuotas': 'Installment purchases',
+  'Reglas de cartola': 'Statement rules',
+  'Valores de monedas': 'Currency rates',
+  'Historial de índices': 'Index history',
+  'Ajustes': 'Settings',
+  'No viene en el respaldo · se conservan los {current} actuales': 'Not in the backup · the {current} current ones are kept',
+  '{incoming} en el respaldo · {current} actuales': '{incoming} in the backup · {current} current',
+  'Respaldo del {date}': 'Backup from {date}',
+  'La restauración falló: {error}': 'Restore failed: {error}',
+  'Respaldo restaurado.': 'Backup restored.',
+
+  // Sincronización
+  'nunca': 'never',
+  'Sincronizando…': 'Syncing…',
+  'Error al sincronizar': 'Sync error',
+  'Sincronizado {when}': 'Synced {when}',
+  'Sin sincronizar': 'Not synced',
+  'Última sincronización: {when}': 'Last sync: {when}',
+  'Este dispositivo': 'This device',
+  'Última sincronización': 'Last sync',
+  'Estado': 'Status',
+  'Error: {error}': 'Error: {error}',
+  'Desactivada': 'Off',
+  'Ingresa la URL del servidor (http:// o https://).': 'Enter the server URL (http:// or https://).',
+
+  // Bloqueo
+  'la app está bloqueada': 'the app is locked',
+  'Aplicando la clave: {i} de {n}. No cierres la app.': 'Applying the passphrase: {i} of {n}. Do not close the app.',
+  'Clave incorrecta.': 'Wrong passphrase.',
+  'Activada: las transacciones, cuentas, recurrentes, compras en cuotas y adjuntos se guardan cifrados en este dispositivo.': 'On: transactions, accounts, recurring rules, installment purchases and attachments are stored encrypted on this device.',
+  'Sin clave: cualquiera con acceso a este navegador puede ver los datos.': 'No passphrase: anyone with access to this browser can see the data.',
+  'Guardar': 'Save',
+  'Activar': 'Turn on',
+  'La clave debe tener al menos {n} caracteres.': 'The passphrase must be at least {n} characters long.',
+  'Las claves no coinciden.': 'The passphrases do not match.',
+  'Confirma que entiendes que sin la clave los datos no se pueden recuperar.': 'Confirm that you understand the data cannot be recovered without the passphrase.',
+  'La clave actual no es correcta.': 'The current passphrase is not correct.',
+  'No se pudo terminar de cifrar: {error}. Se retomará al desbloquear.': 'Encryption could not finish: {error}. It will resume when you unlock.',
+  'Clave guardada. Si la olvidas, los datos de este dispositivo no se pueden recuperar.': 'Passphrase saved. If you forget it, the data on this device cannot be recovered.',
+  'No se pudo terminar de descifrar: {error}. Se retomará al desbloquear.': 'Decryption could not finish: {error}. It will resume when you unlock.',
+  'Clave quitada: los datos vuelven a guardarse sin cifrar.': 'Passphrase removed: data is stored unencrypted again.',
+
+  // Migración
+  'Ingreso (versión anterior)': 'Income (previous version)',
+  'Copiando {n} registros de la versión anterior…': 'Copying {n} records from the previous version…',
+  'Copiando registros… {step} de {n}': 'Copying records… {step} of {n}',
+  'Migración completada. Los datos originales se conservan.': 'Migration complete. The original data is kept.',
+  'Archivos': 'Files',
+  'Ya migrados': 'Already migrated',
+  'Archivos no encontrados': 'Files not found',
+  'No se pudo completar la migración ({error}). Se reintentará al volver a abrir la app.': 'The migration could not be completed ({error}). It will be retried the next time you open the app.',
+
+  // Índices
+  'Actualizado: {date}': 'Updated: {date}',
+  'Sin conexión · últimos datos del {date}': 'Offline · latest data from {date}',
+  'No se pudo actualizar. Revisa tu conexión.': 'Could not update. Check your connection.',
+  'Dato del {date}': 'Value from {date}',
+  'día {change}': 'day {change}',
+  'mes {change}': 'month {change}',
+  'Cargando…': 'Loading…',
+};
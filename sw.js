@@ -0,0 +1,93 @@
+// sw.js — Service worker de Control de Gastos por LPaz
+// App-shell offline + último dato válido de los índices cuando no hay red.
+
+// Subir VERSION en cada despliegue: genera un caché nuevo y activa el aviso de actualización.
+const VERSION = 'v47';
+const SHELL_CACHE = `gastos-shell-${VERSION}`;
+const RUNTIME_CACHE = `gastos-runtime-${VERSION}`;
+// Los índices no dependen de la versión de la app: se conservan entre despliegues.
+const DATA_CACHE = 'gastos-data-v1';
+
+const SHELL = ['./', './index.html', './app.js', './i18n.js', './styles.css', './manifest.json'];
+const DATA_HOSTS = ['mindicador.cl', 'api.coingecko.com'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (e) => {
+  // Sin skipWaiting(): la nueva versión espera hasta que el usuario pida recargar.
+  // cache: 'reload' salta el caché HTTP: si no, una versión nueva podría guardar archivos de la anterior
+  e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL.map(u => new Request(u, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (e) => {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE, DATA_CACHE];
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('gastos-') && !keep.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (e) => {
+  if (e.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (DATA_HOSTS.includes(url.hostname)) {
+    e.respondWith(networkFirst(req));
+    return;
+  }
+  if (FONT_HOSTS.includes(url.hostname)) {
+    e.respondWith(staleWhileRevalidate(req));
+    return;
+  }
+  if (url.origin === self.location.origin) {
+    e.respondWith(shellFirst(req));
+  }
+});
+
+// Navegaciones y archivos propios: desde el caché versionado, red como respaldo.
+async function shellFirst(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = req.mode === 'navigate' ? './index.html' : req;
+  const hit = await cache.match(key, { ignoreSearch: req.mode === 'navigate' });
+  if (hit) return hit;
+  try {
+    return await fetch(req);
+  } catch (err) {
+    if (req.mode === 'navigate') return cache.match('./index.html');
+    throw err;
+  }
+}
+
+// Índices: siempre se intenta la red; sin conexión se entrega la última respuesta buena
+// marcada con `x-sw-cached-at` para que la app muestre su antigüedad.
+async function networkFirst(req) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) {
+      const headers = new Headers(res.headers);
+      headers.set('x-sw-cached-at', String(Date.now()));
+      const body = await res.clone().blob();
+      await cache.put(req, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+    }
+    return res;
+  } catch (err) {
+    const hit = await cache.match(req);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(req) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const hit = await cache.match(req);
+  const update = fetch(req)
+    .then(res => { if (res.ok || res.type === 'opaque') cache.put(req, res.clone()); return res; })
+    .catch(() => hit || Response.error());
+  return hit || update;
+}